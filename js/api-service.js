@@ -1,37 +1,21 @@
 /**
  * ./js/api-service.js
  * API Service Module - Handles all communication with AI APIs
- * Interfaces with OpenAI and Gemini APIs and manages API keys
+ * Routes requests to registered provider adapters (OpenAI, Gemini, Anthropic, custom endpoints)
  */
 const ApiService = (function() {
     'use strict';
 
     // Private state
-    let apiKey = "";
-    let geminiApiKey = "";
-    
-    // Encrypted API keys
-    const encryptedOpenAIKey = "069089026066075089092031002003099081098064082125085108093006123109084087069010097094114091115010026093095069126088000107095121083104015115094081116122082001110083091112111031107123125089102075109090007091101098011084093094091081091065125092000095109005116094085089127124065102101117011003125102007070014123126120064002118015101093122067105119090112120113093125081086113122118113001120123011125092085103007086108119119007083119014125015112124106000120087004098124093117090066000116113095081115";
-    
-    // Gemini decryption
-    (function(){
-        var _0x1a2b3c = "20250325";
-        var _0x4d5e6f = "115121072084099074118106117088090121005073031071112069112077003119122093072123106109115098002002094093126121003069010";
-        var _0x7f8g9h = function(_0xabcd){
-            var _0x123 = new TextDecoder(), _0x456 = new TextEncoder(), _0x789 = "";
-            for(var _0xdef = 0; _0xdef < _0xabcd.length; _0xdef += 3) {
-                var _0x101 = _0xabcd.slice(_0xdef, _0xdef + 3);
-                var _0x112 = parseInt(_0x101);
-                var _0x131 = _0x1a2b3c.charCodeAt((_0xdef / 3) % _0x1a2b3c.length);
-                var _0x415 = _0x112 ^ _0x131;
-                _0x789 += String.fromCharCode(_0x415);
-            }
-            return _0x123.decode(new Uint8Array(_0x456.encode(_0x789)));
-        };
-        geminiApiKey = _0x7f8g9h(_0x4d5e6f);
-    })();
+    // Provider API keys from the KeyManager vault, keyed by provider name
+    let providerKeys = {};
 
-    // Gemini API configuration
+    // Timeouts for complete(): waiting for response headers, and the max gap between streamed chunks
+    const STREAM_CONNECT_TIMEOUT = 30000;
+    const RESPONSE_TIMEOUT = 120000;
+    const STREAM_IDLE_TIMEOUT = 30000;
+
+    // Gemini API defaults; per-request generation parameters override them
     const generationConfig = {
         temperature: 1,
         topP: 0.95,
@@ -41,263 +25,956 @@ const ApiService = (function() {
     };
 
     /**
-     * Initialize the API service by decrypting the API key
-     * @param {string} password - The password to decrypt the API key
-     * @returns {boolean} - Whether initialization was successful
+     * Sets the provider API keys (from the unlocked KeyManager vault)
+     * @param {Object} keys - Map of provider name to API key
+     */
+    function setApiKeys(keys) {
+        providerKeys = { ...keys };
+    }
+
+    /**
+     * Gets the API key for a provider
+     * @param {string} name - Provider name
+     * @returns {string} - The key, or '' if none is set
+     */
+    function getApiKey(name) {
+        return providerKeys[name] || '';
+    }
+
+    // Registered provider adapters, keyed by provider name
+    const providers = new Map();
+
+    /**
+     * Registers a provider adapter. An adapter looks like:
+     * {
+     *   name: 'openai',
+     *   models: [{ id: 'gpt-4.1-mini', label: 'GPT-4.1 Mini' }],
+     *   matchesModel(model) -> boolean,           // optional, for models not listed
+     *   requiresApiKey: true,                     // optional, fail early without a key
+     *   supportsTools(model) -> boolean,          // optional, native function calling
+     *   supportsImages(model) -> boolean,         // optional, accepts image parts
+     *   supportsResponseSchema(model, hasTools) -> boolean, // optional, native structured output
+     *   buildRequest({ model, messages, stream, tools, params, responseSchema }) -> { url, options, useProxy, fetch? },
+     *                                             // fetch optionally serves the request instead of the network
+     *   parseResponse(json) -> { text, usage, toolCalls },
+     *   parseStreamEvent(data) -> { text, usage, toolCalls } // one parsed SSE data payload
+     * }
+     * Messages use the common shape {role, content}; assistant tool calls are
+     * {role:'assistant', content, toolCalls:[{id, name, arguments}]} and tool
+     * results are {role:'tool', toolCallId, name, content}. User messages may carry
+     * images: {role:'user', content, images:[{name, mimeType, data}]} with base64 data.
+     * @param {Object} adapter - The provider adapter
+     */
+    function registerProvider(adapter) {
+        if (!adapter || !adapter.name) {
+            throw new Error('Provider adapter must have a name');
+        }
+        providers.set(adapter.name, adapter);
+    }
+
+    /**
+     * Finds the provider adapter that serves a model
+     * @param {string} model - The model ID
+     * @returns {Object|null} - The provider adapter or null if none matches
+     */
+    function getProvider(model) {
+        for (const adapter of providers.values()) {
+            if ((adapter.models || []).some(m => m.id === model)) return adapter;
+        }
+        for (const adapter of providers.values()) {
+            if (adapter.matchesModel && adapter.matchesModel(model)) return adapter;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a model accepts image attachments
+     * @param {string} model - The model ID
+     * @returns {boolean}
+     */
+    function supportsImages(model) {
+        const provider = getProvider(model);
+        return !!(provider && provider.supportsImages && provider.supportsImages(model));
+    }
+
+    /**
+     * Lists the models declared by all registered providers
+     * @returns {Array<{id:string,label:string,provider:string}>}
+     */
+    function listModels() {
+        const models = [];
+        providers.forEach(adapter => {
+            (adapter.models || []).forEach(m => models.push({ id: m.id, label: m.label || m.id, provider: adapter.name }));
+        });
+        return models;
+    }
+
+    /**
+     * Normalizes a usage object into prompt/completion/total counts
+     * @param {number} promptTokens
+     * @param {number} completionTokens
+     * @param {number} [totalTokens]
+     * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+     */
+    function makeUsage(promptTokens, completionTokens, totalTokens) {
+        const prompt = promptTokens || 0;
+        const completion = completionTokens || 0;
+        return { promptTokens: prompt, completionTokens: completion, totalTokens: totalTokens || (prompt + completion) };
+    }
+
+    /**
+     * Creates an ID for tool calls from providers that do not supply one
+     * @returns {string}
+     */
+    function makeToolCallId() {
+        return 'call_' + Math.random().toString(36).slice(2, 12);
+    }
+
+    /**
+     * Parses a JSON arguments string from a tool call, tolerating bad JSON
+     * @param {string} text - The raw arguments text
+     * @returns {Object}
      */
-    function init(password) {
-        if (!password) return false;
-        
+    function parseToolArguments(text) {
+        if (!text) return {};
         try {
-            apiKey = Utils.decrypt(encryptedOpenAIKey, password);
-            return true;
+            return JSON.parse(text);
         } catch (err) {
-            console.error('Failed to decrypt API key:', err);
-            return false;
+            console.warn('Tool arguments parse error:', err, 'from', text);
+            return {};
         }
     }
 
     /**
-     * Sends a non-streaming request to OpenAI API
-     * @param {string} model - The model to use
+     * Rewrites native tool call/result messages as plain text turns, for models
+     * without function calling (tool calls become the JSON the text fallback expects)
      * @param {Array} messages - The message history
-     * @param {number} [timeout] - Optional timeout in ms
-     * @returns {Promise<Object>} - The API response
+     * @returns {Array} - Messages without toolCalls or tool roles
      */
-    async function sendOpenAIRequest(model, messages, timeout = 10000) {
-        const payload = { model, messages };
-        const response = await Utils.fetchWithRetry('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            mode: 'cors',
-            headers: { 
-                'Content-Type': 'application/json', 
-                'Authorization': 'Bearer ' + apiKey 
-            },
-            body: JSON.stringify(payload)
-        }, 3, 1000, timeout);
-        
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
-        
-        return response.json();
+    function flattenToolMessages(messages) {
+        return messages.map(item => {
+            if (item.role === 'tool') {
+                return { role: 'assistant', content: item.content };
+            }
+            if (item.toolCalls && item.toolCalls.length) {
+                const calls = item.toolCalls.map(call => JSON.stringify({ tool: call.name, arguments: call.arguments }));
+                return { role: 'assistant', content: [item.content, ...calls].filter(Boolean).join('\n') };
+            }
+            return item;
+        });
     }
 
     /**
-     * Sends a streaming request to OpenAI API
-     * @param {string} model - The model to use
+     * Replaces image attachments with a text note, for models that cannot see images
      * @param {Array} messages - The message history
-     * @param {Function} onChunk - Callback for each chunk of data
-     * @returns {Promise<string>} - The full response text
+     * @returns {Array} - Messages without images
      */
-    async function streamOpenAIRequest(model, messages, onChunk) {
-        const response = await Utils.fetchWithRetry('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json', 
-                'Authorization': 'Bearer ' + apiKey 
-            },
-            body: JSON.stringify({ model, messages, stream: true })
-        }, 3, 1000, 10000);
-        
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
+    function dropImages(messages) {
+        return messages.map(item => {
+            if (!item.images || !item.images.length) return item;
+            const { images, ...rest } = item;
+            const note = `[${images.length} image(s) attached, but this model cannot view images]`;
+            return { ...rest, content: [item.content, note].filter(Boolean).join('\n') };
+        });
+    }
+
+    /**
+     * Merges a streamed tool call fragment into the calls collected so far
+     * @param {Array} calls - Calls being assembled, indexed by position
+     * @param {Object} delta - {index?, id?, name?, argumentsDelta?, arguments?}
+     */
+    function mergeToolCallDelta(calls, delta) {
+        const index = typeof delta.index === 'number' ? delta.index : calls.length;
+        if (!calls[index]) {
+            calls[index] = { id: '', name: '', argumentsText: '', arguments: null };
         }
-        
+        const call = calls[index];
+        if (delta.id) call.id = delta.id;
+        if (delta.name) call.name = delta.name;
+        if (delta.argumentsDelta) call.argumentsText += delta.argumentsDelta;
+        if (delta.arguments) call.arguments = delta.arguments;
+    }
+
+    /**
+     * Roughly estimates the token count of a text, for providers that report no
+     * usage: about 4 characters per token, one per CJK character
+     * @param {string} text
+     * @returns {number}
+     */
+    function estimateTokens(text) {
+        if (!text) return 0;
+        const str = String(text);
+        const cjk = (str.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+        return Math.ceil(cjk + (str.length - cjk) / 4);
+    }
+
+    // Rough cost of one attached image; providers tile images very differently
+    const IMAGE_TOKEN_ESTIMATE = 1000;
+
+    /**
+     * Estimates usage for a request and its reply (marked estimated: true)
+     * @param {Array} messages - The messages sent
+     * @param {Object} reply - {text, toolCalls}
+     * @returns {Object} - { promptTokens, completionTokens, totalTokens, estimated }
+     */
+    function estimateUsage(messages, reply) {
+        // ~4 tokens of framing per message
+        const prompt = messages.reduce((sum, m) => {
+            const calls = m.toolCalls && m.toolCalls.length ? JSON.stringify(m.toolCalls) : '';
+            const images = m.images ? m.images.length * IMAGE_TOKEN_ESTIMATE : 0;
+            return sum + 4 + estimateTokens(m.content) + estimateTokens(calls) + images;
+        }, 0);
+        const calls = reply.toolCalls && reply.toolCalls.length ? JSON.stringify(reply.toolCalls) : '';
+        const completion = estimateTokens(reply.text) + estimateTokens(calls);
+        return { ...makeUsage(prompt, completion), estimated: true };
+    }
+
+    /**
+     * Combines usage reported across stream events; providers report either
+     * running totals or separate prompt/completion counts, so keep the largest
+     * @param {Object} current - Usage so far
+     * @param {Object} update - Usage from the latest event
+     * @returns {Object}
+     */
+    function mergeStreamUsage(current, update) {
+        const prompt = Math.max(current.promptTokens, update.promptTokens);
+        const completion = Math.max(current.completionTokens, update.completionTokens);
+        return makeUsage(prompt, completion, Math.max(current.totalTokens, update.totalTokens, prompt + completion));
+    }
+
+    /**
+     * Renames the generation parameters a provider supports to its field names
+     * @param {Object} [params] - {temperature, topP, maxTokens, stopSequences, seed, presencePenalty, frequencyPenalty}
+     * @param {Object} fieldNames - Map of parameter name to provider field name
+     * @returns {Object} - Provider fields; unset and unsupported parameters are left out
+     */
+    function mapGenerationParams(params, fieldNames) {
+        const mapped = {};
+        Object.entries(fieldNames).forEach(([name, field]) => {
+            const value = params ? params[name] : undefined;
+            if (value === undefined || value === null || (Array.isArray(value) && !value.length)) return;
+            mapped[field] = value;
+        });
+        return mapped;
+    }
+
+    /**
+     * Prompt fallback for structured output on providers without a native schema option
+     * @param {Object} responseSchema - {name, schema}
+     * @returns {string}
+     */
+    function schemaInstruction(responseSchema) {
+        return `When you give your final answer, reply with only a JSON value (no prose, no code fences) that matches this JSON Schema:\n${JSON.stringify(responseSchema.schema, null, 2)}`;
+    }
+
+    /**
+     * Sends a completion request through the provider that serves the model
+     * @param {Object} request
+     * @param {string} request.model - The model to use
+     * @param {Array} request.messages - The message history ({role, content})
+     * @param {boolean} [request.stream] - Whether to stream the reply
+     * @param {Function} [request.onChunk] - Callback (chunk, fullText) for each streamed chunk
+     * @param {Array} [request.tools] - Tool schemas ({name, description, parameters}) for native function calling
+     * @param {Object} [request.responseSchema] - {name, schema}: ask for JSON matching the schema, natively
+     *   where the provider supports it, otherwise through an added system instruction
+     * @param {Object} [request.params] - Generation parameters ({temperature, topP, maxTokens, stopSequences,
+     *   seed, presencePenalty, frequencyPenalty}); unset ones keep the provider default
+     * @param {number} [request.timeout] - Max wait for the response headers in ms (connect timeout). Without
+     *   streaming the headers only come once the reply is generated, so the default is longer
+     * @param {number} [request.idleTimeout] - Max gap between streamed chunks in ms
+     * @param {number} [request.maxAttempts] - Attempts before giving up on retryable errors
+     * @param {Function} [request.onRetry] - Called with {attempt, maxAttempts, delayMs, error} before each retry wait
+     * @param {AbortSignal} [request.signal] - Cancels the request, including a running stream
+     * @returns {Promise<{text:string, usage:Object, toolCalls:Array}>} - The reply text, token usage
+     *   (a local estimate with estimated: true when the provider reports none) and tool calls
+     */
+    async function complete({
+        model, messages, stream = false, onChunk, tools, params, responseSchema, signal, onRetry, maxAttempts,
+        timeout = stream ? STREAM_CONNECT_TIMEOUT : RESPONSE_TIMEOUT,
+        idleTimeout = STREAM_IDLE_TIMEOUT
+    }) {
+        const provider = getProvider(model);
+        if (!provider) {
+            throw new Error(`No provider registered for model ${model}`);
+        }
+        if (provider.requiresApiKey && !getApiKey(provider.name)) {
+            throw new Error(`No API key set for ${provider.name}. Add one in Settings.`);
+        }
+
+        // Models without function calling get tool traffic as plain text
+        const nativeTools = !!(provider.supportsTools && provider.supportsTools(model));
+        if (!nativeTools) {
+            messages = flattenToolMessages(messages);
+        }
+        const requestTools = nativeTools && tools && tools.length ? tools : null;
+        if (!(provider.supportsImages && provider.supportsImages(model))) {
+            messages = dropImages(messages);
+        }
+
+        let nativeSchema = null;
+        if (responseSchema) {
+            if (provider.supportsResponseSchema && provider.supportsResponseSchema(model, !!requestTools)) {
+                nativeSchema = responseSchema;
+            } else {
+                messages = [...messages, { role: 'system', content: schemaInstruction(responseSchema) }];
+            }
+        }
+
+        const { url, options, useProxy, fetch: fetchImpl } = provider.buildRequest({
+            model, messages, stream, tools: requestTools, params: params || {}, responseSchema: nativeSchema
+        });
+        if (signal) options.signal = signal;
+        const logEntry = NetworkLog.begin({
+            kind: 'llm', source: provider.name, model, url, method: options.method, headers: options.headers, body: options.body
+        });
+        const logRetry = info => {
+            NetworkLog.addRetry(logEntry, info);
+            if (onRetry) onRetry(info);
+        };
+        try {
+            const response = useProxy
+                ? await ProxyManager.fetchWithProxyRetry(url, options, { retries: maxAttempts, timeout, onRetry: logRetry })
+                : await Utils.fetchWithRetry(url, options, { connectTimeout: timeout, onRetry: logRetry, fetchImpl, ...(maxAttempts ? { maxAttempts } : {}) });
+            NetworkLog.markResponse(logEntry, response);
+
+            const result = stream
+                ? await readEventStream(provider, response, onChunk, idleTimeout, logEntry)
+                : provider.parseResponse(await response.json());
+            const reply = { ...result, toolCalls: result.toolCalls || [] };
+            if (!reply.usage) {
+                reply.usage = estimateUsage(messages, reply);
+            }
+            NetworkLog.finish(logEntry, { usage: reply.usage });
+            return reply;
+        } catch (err) {
+            NetworkLog.finish(logEntry, { error: err });
+            throw err;
+        }
+    }
+
+    /**
+     * Reads an SSE response and hands each event to the provider's stream parser
+     * @param {Object} provider - The provider adapter
+     * @param {Response} response - The streaming fetch response
+     * @param {Function} [onChunk] - Callback (chunk, fullText) for each text chunk
+     * @param {number} idleTimeout - Max gap between chunks in ms before the stream counts as stalled
+     * @param {Object} [logEntry] - NetworkLog entry that counts the streamed events
+     * @returns {Promise<{text:string, usage:Object|null, toolCalls:Array}>}
+     */
+    async function readEventStream(provider, response, onChunk, idleTimeout, logEntry) {
         const reader = response.body.getReader();
         const decoder = new TextDecoder('utf-8');
         let done = false;
         let eventBuffer = '';
         let fullReply = '';
-        
+        let usage = null;
+        const toolCalls = [];
+
         while (!done) {
-            const { value, done: doneReading } = await reader.read();
+            const { value, done: doneReading } = await Utils.readWithIdleTimeout(reader, idleTimeout);
             done = doneReading;
-            
+
             // Accumulate and split complete SSE events
             eventBuffer += decoder.decode(value || new Uint8Array(), { stream: !done });
             const events = eventBuffer.split(/\r?\n\r?\n/);
-            eventBuffer = events.pop(); // keep incomplete event
-            
+            eventBuffer = done ? '' : events.pop(); // keep incomplete event
+
             for (const ev of events) {
                 // Each ev is one SSE event block
                 const lines = ev.split(/\r?\n/);
                 for (const line of lines) {
                     const parsed = Utils.parseSSELine(line);
                     if (!parsed) continue;
-                    
+
                     if (parsed.done) {
                         done = true;
                         break;
                     }
-                    
-                    const delta = parsed.data?.choices?.[0]?.delta;
-                    if (delta?.content) {
-                        fullReply += delta.content;
-                        if (onChunk) onChunk(delta.content, fullReply);
+                    if (logEntry) NetworkLog.addChunk(logEntry);
+
+                    const event = provider.parseStreamEvent(parsed.data);
+                    if (!event) continue;
+                    if (event.usage) usage = usage ? mergeStreamUsage(usage, event.usage) : event.usage;
+                    if (event.toolCalls) {
+                        event.toolCalls.forEach(delta => mergeToolCallDelta(toolCalls, delta));
+                    }
+                    if (event.text) {
+                        fullReply += event.text;
+                        if (onChunk) onChunk(event.text, fullReply);
                     }
                 }
                 if (done) break;
             }
         }
-        
-        return fullReply;
+
+        return {
+            text: fullReply,
+            usage,
+            toolCalls: toolCalls.filter(Boolean).map(call => ({
+                id: call.id || makeToolCallId(),
+                name: call.name,
+                arguments: call.arguments || parseToolArguments(call.argumentsText)
+            }))
+        };
+    }
+
+    /**
+     * Maps chat history to OpenAI chat messages
+     * @param {Array} messages - The message history
+     * @returns {Array} - OpenAI messages array
+     */
+    function toOpenAIMessages(messages) {
+        return messages.map(item => {
+            if (item.role === 'tool') {
+                return { role: 'tool', tool_call_id: item.toolCallId, content: item.content };
+            }
+            if (item.toolCalls && item.toolCalls.length) {
+                return {
+                    role: 'assistant',
+                    content: item.content || null,
+                    tool_calls: item.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                    }))
+                };
+            }
+            if (item.images && item.images.length) {
+                const parts = item.content ? [{ type: 'text', text: item.content }] : [];
+                item.images.forEach(image => parts.push({
+                    type: 'image_url',
+                    image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+                }));
+                return { role: item.role, content: parts };
+            }
+            return { role: item.role, content: item.content };
+        });
     }
-    
+
+    // Generation parameter names per provider API
+    const OPENAI_PARAM_FIELDS = {
+        temperature: 'temperature',
+        topP: 'top_p',
+        maxTokens: 'max_tokens',
+        stopSequences: 'stop',
+        seed: 'seed',
+        presencePenalty: 'presence_penalty',
+        frequencyPenalty: 'frequency_penalty'
+    };
+    const GEMINI_PARAM_FIELDS = {
+        temperature: 'temperature',
+        topP: 'topP',
+        maxTokens: 'maxOutputTokens',
+        stopSequences: 'stopSequences',
+        seed: 'seed',
+        presencePenalty: 'presencePenalty',
+        frequencyPenalty: 'frequencyPenalty'
+    };
+    // The Messages API has no seed or penalties
+    const ANTHROPIC_PARAM_FIELDS = {
+        temperature: 'temperature',
+        topP: 'top_p',
+        maxTokens: 'max_tokens',
+        stopSequences: 'stop_sequences'
+    };
+
     /**
-     * Creates a Gemini session
-     * @param {string} model - The model to use
-     * @returns {Object} - Session with sendMessage method
+     * Creates an adapter for an OpenAI-compatible chat completions server
+     * @param {Object} config
+     * @param {string} config.name - Provider name
+     * @param {string} config.baseUrl - API base URL, e.g. https://api.openai.com/v1
+     * @param {boolean} [config.requiresApiKey] - Whether requests need a key
+     * @param {Array} config.models - Declared models ({id, label})
+     * @param {Function} [config.matchesModel] - Matches models not listed
+     * @param {Function} [config.toRemoteModel] - Maps a model ID to the name the server expects
+     * @param {boolean} [config.tools=true] - Whether the server supports function calling
+     * @param {boolean} [config.images=false] - Whether the server's models accept images
+     * @param {boolean} [config.responseSchema=true] - Whether the server accepts response_format json_schema
+     * @returns {Object} - The provider adapter
      */
-    function createGeminiSession(model) {
+    function createOpenAICompatibleProvider(config) {
+        const toRemoteModel = config.toRemoteModel || (model => model);
         return {
-            sendMessage: async function(userText, chatHistory) {
-                // Prepare contents array and request body
-                const contents = chatHistory.map(item => ({
-                    role: item.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: item.content }]
-                }));
-                
-                const requestBody = {
-                    contents: contents,
-                    generationConfig: generationConfig
+            name: config.name,
+            models: config.models,
+            requiresApiKey: !!config.requiresApiKey,
+            matchesModel: config.matchesModel,
+            supportsTools: () => config.tools !== false,
+            supportsImages: () => !!config.images,
+            supportsResponseSchema: () => config.responseSchema !== false,
+            buildRequest({ model, messages, stream, tools, params, responseSchema }) {
+                const payload = {
+                    model: toRemoteModel(model),
+                    messages: toOpenAIMessages(messages),
+                    ...mapGenerationParams(params, OPENAI_PARAM_FIELDS)
                 };
-                
-                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-                const response = await Utils.fetchWithProxyRetry(url, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(requestBody)
-                }, undefined, 3, 1000, 10000);
-                
-                if (!response.ok) {
-                    const errText = await response.text();
-                    throw new Error(`API error ${response.status}: ${errText}`);
+                if (stream) {
+                    payload.stream = true;
+                    // Ask for a final chunk with usage instead of re-sending the history to count tokens
+                    payload.stream_options = { include_usage: true };
+                }
+                if (responseSchema) {
+                    // Not strict: strict mode rejects schemas without additionalProperties: false everywhere
+                    payload.response_format = {
+                        type: 'json_schema',
+                        json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: false }
+                    };
                 }
-                
-                const result = await response.json();
-                if (!result.candidates || result.candidates.length === 0) {
-                    throw new Error('No response from API');
+                if (tools) {
+                    payload.tools = tools.map(tool => ({
+                        type: 'function',
+                        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+                    }));
                 }
-                
-                return result;
+                const headers = { 'Content-Type': 'application/json' };
+                const key = getApiKey(config.name);
+                if (key) headers['Authorization'] = 'Bearer ' + key;
+                return {
+                    url: `${config.baseUrl}/chat/completions`,
+                    options: {
+                        method: 'POST',
+                        mode: 'cors',
+                        headers,
+                        body: JSON.stringify(payload)
+                    },
+                    useProxy: false
+                };
+            },
+            parseResponse(result) {
+                if (result.error) {
+                    throw new Error(result.error.message);
+                }
+                const usage = result.usage
+                    ? makeUsage(result.usage.prompt_tokens, result.usage.completion_tokens, result.usage.total_tokens)
+                    : null;
+                const message = result.choices?.[0]?.message || {};
+                const toolCalls = (message.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function?.name,
+                    arguments: parseToolArguments(call.function?.arguments)
+                }));
+                return { text: message.content || '', usage, toolCalls };
+            },
+            parseStreamEvent(data) {
+                const usage = data.usage
+                    ? makeUsage(data.usage.prompt_tokens, data.usage.completion_tokens, data.usage.total_tokens)
+                    : null;
+                const delta = data.choices?.[0]?.delta || {};
+                const toolCalls = (delta.tool_calls || []).map(call => ({
+                    index: call.index,
+                    id: call.id,
+                    name: call.function?.name,
+                    argumentsDelta: call.function?.arguments
+                }));
+                return { text: delta.content || '', usage, toolCalls };
             }
         };
     }
 
+    // OpenAI chat completions
+    registerProvider(createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        requiresApiKey: true,
+        models: [
+            { id: 'gpt-4.1-mini', label: 'GPT-4.1 Mini' },
+            { id: 'gpt-4.1-nano', label: 'GPT-4.1 Nano' }
+        ],
+        matchesModel: model => model.startsWith('gpt'),
+        images: true
+    }));
+
+    // Self-hosted OpenAI-compatible servers (Ollama, llama.cpp, vLLM, ...) are
+    // registered as 'custom:<name>' with model IDs '<name>/<server model>';
+    // an optional key is stored in the vault under the provider name
+    const CUSTOM_PROVIDER_PREFIX = 'custom:';
+
+    /**
+     * Normalizes an endpoint base URL (no trailing slash)
+     * @param {string} baseUrl
+     * @returns {string}
+     */
+    function normalizeBaseUrl(baseUrl) {
+        return String(baseUrl || '').trim().replace(/\/+$/, '');
+    }
+
     /**
-     * Sends a streaming request to Gemini API
-     * @param {string} model - The model to use
-     * @param {Array} chatHistory - The message history
-     * @param {Function} onChunk - Callback for each chunk of data
-     * @returns {Promise<string>} - The full response text
+     * Replaces all custom endpoint providers with the given endpoints
+     * @param {Array<{name:string, baseUrl:string, models:Array<string>, supportsTools?:boolean, supportsImages?:boolean}>} endpoints
      */
-    async function streamGeminiRequest(model, chatHistory, onChunk) {
-        // Build the request body
-        const contents = chatHistory.map(item => ({
-            role: item.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: item.content }]
-        }));
-        
-        const requestBody = { contents, generationConfig };
-        
-        // Send the streaming request
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${geminiApiKey}`;
-        const response = await Utils.fetchWithRetry(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody)
-        }, 3, 1000, 10000);
-        
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
+    function setCustomEndpoints(endpoints) {
+        Array.from(providers.keys())
+            .filter(name => name.startsWith(CUSTOM_PROVIDER_PREFIX))
+            .forEach(name => providers.delete(name));
+
+        (endpoints || []).forEach(endpoint => {
+            const prefix = endpoint.name + '/';
+            registerProvider(createOpenAICompatibleProvider({
+                name: CUSTOM_PROVIDER_PREFIX + endpoint.name,
+                baseUrl: normalizeBaseUrl(endpoint.baseUrl),
+                models: (endpoint.models || []).map(m => ({ id: prefix + m, label: `${endpoint.name}: ${m}` })),
+                toRemoteModel: model => model.slice(prefix.length),
+                tools: !!endpoint.supportsTools,
+                images: !!endpoint.supportsImages
+            }));
+        });
+    }
+
+    /**
+     * Lists the models served by an OpenAI-compatible server via its /models route
+     * @param {string} baseUrl - API base URL, e.g. http://localhost:11434/v1
+     * @param {string} [key] - Optional bearer token
+     * @returns {Promise<Array<string>>} - The model IDs
+     */
+    async function discoverModels(baseUrl, key) {
+        const headers = {};
+        if (key) headers['Authorization'] = 'Bearer ' + key;
+        const url = `${normalizeBaseUrl(baseUrl)}/models`;
+        const logEntry = NetworkLog.begin({ kind: 'llm', source: 'model discovery', url, headers });
+        let result;
+        try {
+            const response = await Utils.fetchWithRetry(url, { method: 'GET', headers }, {
+                maxAttempts: 2, connectTimeout: 10000, onRetry: info => NetworkLog.addRetry(logEntry, info)
+            });
+            NetworkLog.markResponse(logEntry, response);
+            result = await response.json();
+            NetworkLog.finish(logEntry);
+        } catch (err) {
+            NetworkLog.finish(logEntry, { error: err });
+            throw err;
         }
-        
-        // Process the streaming response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder('utf-8');
-        let done = false, buffer = '', fullReply = '';
-        
-        while (!done) {
-            const { value, done: doneReading } = await reader.read();
-            done = doneReading;
-            
-            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
-            const lines = buffer.split(/\r?\n/);
-            buffer = lines.pop();
-            
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-                    if (data === '[DONE]') { 
-                        done = true; 
-                        break; 
-                    }
-                    
-                    try {
-                        const parsed = JSON.parse(data);
-                        const parts = parsed.candidates?.[0]?.content?.parts || [];
-                        const textChunk = parts[parts.length - 1]?.text || '';
-                        
-                        fullReply += textChunk;
-                        if (onChunk) onChunk(textChunk, fullReply);
-                    } catch (err) {
-                        console.error('Stream parsing error', err);
-                    }
-                }
+        return (result.data || result.models || [])
+            .map(m => m.id || m.name)
+            .filter(Boolean);
+    }
+
+    /**
+     * Maps chat history to Gemini contents and a system instruction
+     * @param {Array} messages - The message history
+     * @param {boolean} useSystemInstruction - Whether the model accepts systemInstruction
+     * @returns {{systemInstruction:Object|null, contents:Array}}
+     */
+    function toGeminiContents(messages, useSystemInstruction) {
+        const system = [];
+        const contents = [];
+        const pushParts = (role, parts) => {
+            if (!parts.length) return;
+            // Consecutive turns of the same role go out as one turn (this also
+            // keeps the results of parallel calls together)
+            const last = contents[contents.length - 1];
+            if (last && last.role === role) {
+                last.parts.push(...parts);
+            } else {
+                contents.push({ role, parts });
             }
+        };
+        messages.forEach(item => {
+            if (item.role === 'system') {
+                if (item.content) system.push(item.content);
+            } else if (item.role === 'tool') {
+                pushParts('user', [{ functionResponse: { name: item.name, response: { content: item.content } } }]);
+            } else if (item.role === 'assistant') {
+                const parts = item.content ? [{ text: item.content }] : [];
+                (item.toolCalls || []).forEach(call => parts.push({ functionCall: { name: call.name, args: call.arguments || {} } }));
+                pushParts('model', parts);
+            } else {
+                const parts = item.content ? [{ text: item.content }] : [];
+                (item.images || []).forEach(image => parts.push({ inline_data: { mime_type: image.mimeType, data: image.data } }));
+                pushParts('user', parts);
+            }
+        });
+
+        const systemText = system.join('\n\n');
+        if (!systemText) {
+            return { systemInstruction: null, contents };
+        }
+        if (useSystemInstruction) {
+            return { systemInstruction: { parts: [{ text: systemText }] }, contents };
         }
-        
-        return fullReply;
+        // Fallback for models that reject systemInstruction (Gemma): lead the first user turn with it
+        const preamble = { text: `System instructions:\n${systemText}\n\n---` };
+        if (contents[0] && contents[0].role === 'user') {
+            contents[0].parts.unshift(preamble);
+        } else {
+            contents.unshift({ role: 'user', parts: [preamble] });
+        }
+        return { systemInstruction: null, contents };
     }
 
+    // Keywords of the OpenAPI schema subset that Gemini's responseSchema accepts
+    const GEMINI_SCHEMA_KEYS = new Set([
+        'type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items',
+        'minItems', 'maxItems', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'anyOf', 'propertyOrdering', 'title'
+    ]);
+
     /**
-     * Gets the token usage for the last interaction
-     * @param {string} model - The model used
-     * @param {Array} chatHistory - The current chat history
-     * @returns {Promise<number>} - The token count of the last interaction
+     * Strips a JSON Schema down to what Gemini's responseSchema accepts (it rejects
+     * keywords like $schema or additionalProperties); the full schema is still checked client-side
+     * @param {Object} schema
+     * @returns {Object}
      */
-    async function getTokenUsage(model, chatHistory) {
-        try {
-            let usageResult;
-            
-            if (model.startsWith('gpt')) {
-                // ChatGPT usage via non-stream call
-                const res = await sendOpenAIRequest(model, chatHistory);
-                return res.usage?.total_tokens || 0;
+    function toGeminiSchema(schema) {
+        if (!schema || typeof schema !== 'object') return schema;
+        const result = {};
+        Object.entries(schema).forEach(([key, value]) => {
+            if (!GEMINI_SCHEMA_KEYS.has(key)) return;
+            if (key === 'properties') {
+                result.properties = {};
+                Object.entries(value).forEach(([name, sub]) => { result.properties[name] = toGeminiSchema(sub); });
+            } else if (key === 'items') {
+                result.items = toGeminiSchema(value);
+            } else if (key === 'anyOf') {
+                result.anyOf = value.map(toGeminiSchema);
+            } else if (key === 'type' && Array.isArray(value)) {
+                // ["string", "null"] becomes type string + nullable
+                result.type = value.find(t => t !== 'null');
+                if (value.includes('null')) result.nullable = true;
             } else {
-                // Gemini usage
-                const contents = chatHistory.map(item => ({
-                    role: item.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: item.content }]
-                }));
-                
-                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-                const res = await Utils.fetchWithProxyRetry(url, {
-                    method: 'POST', 
-                    headers: { 'Content-Type': 'application/json' }, 
-                    body: JSON.stringify({ contents, generationConfig })
-                }, undefined, 3, 1000, 10000);
-                
-                usageResult = await res.json();
-                return usageResult.usageMetadata?.totalTokenCount || 0;
+                result[key] = value;
             }
-        } catch (err) {
-            console.error('Error fetching token usage:', err);
-            return 0;
+        });
+        return result;
+    }
+
+    /**
+     * Reads functionCall parts from a Gemini response into tool calls
+     * @param {Array} parts - Gemini content parts
+     * @returns {Array} - Tool calls ({id, name, arguments})
+     */
+    function geminiToolCalls(parts) {
+        return parts
+            .filter(p => p.functionCall)
+            .map(p => ({ id: p.functionCall.id || makeToolCallId(), name: p.functionCall.name, arguments: p.functionCall.args || {} }));
+    }
+
+    /**
+     * Reads Gemini usageMetadata into the common usage shape
+     * @param {Object} result - A Gemini response or stream chunk
+     * @returns {Object|null}
+     */
+    function geminiUsage(result) {
+        const meta = result.usageMetadata;
+        if (!meta) return null;
+        return makeUsage(meta.promptTokenCount, meta.candidatesTokenCount, meta.totalTokenCount);
+    }
+
+    // Google generateContent (Gemini and Gemma models)
+    registerProvider({
+        name: 'gemini',
+        models: [
+            { id: 'gemini-2.0-flash', label: 'Gemini 2.0 Flash' },
+            { id: 'gemma-3-27b-it', label: 'Gemma 3-27b IT' }
+        ],
+        matchesModel: model => model.startsWith('gemini') || model.startsWith('gemma'),
+        requiresApiKey: true,
+        // Gemma models on this API support neither function calling nor system instructions
+        supportsTools: model => !model.startsWith('gemma'),
+        supportsImages: () => true,
+        supportsSystemInstruction: model => !model.startsWith('gemma'),
+        // JSON mode cannot be combined with function calling on this API
+        supportsResponseSchema: (model, hasTools) => !model.startsWith('gemma') && !hasTools,
+        buildRequest({ model, messages, stream, tools, params, responseSchema }) {
+            const mapped = toGeminiContents(messages, this.supportsSystemInstruction(model));
+            const requestBody = {
+                contents: mapped.contents,
+                generationConfig: { ...generationConfig, ...mapGenerationParams(params, GEMINI_PARAM_FIELDS) }
+            };
+            if (mapped.systemInstruction) {
+                requestBody.systemInstruction = mapped.systemInstruction;
+            }
+            if (responseSchema) {
+                requestBody.generationConfig.responseMimeType = 'application/json';
+                requestBody.generationConfig.responseSchema = toGeminiSchema(responseSchema.schema);
+            }
+            if (tools) {
+                requestBody.tools = [{
+                    functionDeclarations: tools.map(tool => ({
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.parameters
+                    }))
+                }];
+            }
+            const url = stream
+                ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${getApiKey('gemini')}`
+                : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${getApiKey('gemini')}`;
+            return {
+                url,
+                options: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(requestBody)
+                },
+                // Non-streaming calls go through the CORS proxy pool (the key in the URL keeps
+                // them off public proxies), streams go direct
+                useProxy: !stream
+            };
+        },
+        parseResponse(result) {
+            if (!result.candidates || result.candidates.length === 0) {
+                throw new Error('No response from API');
+            }
+            const content = result.candidates[0].content || {};
+            let text = '';
+            if (content.parts) {
+                text = content.parts.filter(p => typeof p.text === 'string').map(p => p.text).join('');
+            } else if (content.text) {
+                text = content.text;
+            }
+            return { text, usage: geminiUsage(result), toolCalls: geminiToolCalls(content.parts || []) };
+        },
+        parseStreamEvent(data) {
+            const parts = data.candidates?.[0]?.content?.parts || [];
+            const text = parts.filter(p => typeof p.text === 'string').map(p => p.text).join('');
+            return { text, usage: geminiUsage(data), toolCalls: geminiToolCalls(parts) };
         }
+    });
+
+    /**
+     * Maps chat history to Anthropic Messages API system text and messages
+     * @param {Array} messages - The message history
+     * @returns {{system:string, messages:Array}}
+     */
+    function toAnthropicMessages(messages) {
+        const system = [];
+        const result = [];
+        const pushBlocks = (role, blocks) => {
+            // The API expects alternating turns, so same-role neighbours are merged
+            const last = result[result.length - 1];
+            if (last && last.role === role) {
+                last.content.push(...blocks);
+            } else {
+                result.push({ role, content: blocks });
+            }
+        };
+        messages.forEach(item => {
+            if (item.role === 'system') {
+                system.push(item.content);
+            } else if (item.role === 'tool') {
+                pushBlocks('user', [{ type: 'tool_result', tool_use_id: item.toolCallId, content: item.content }]);
+            } else if (item.role === 'assistant') {
+                const blocks = item.content ? [{ type: 'text', text: item.content }] : [];
+                (item.toolCalls || []).forEach(call => {
+                    blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+                });
+                if (blocks.length) pushBlocks('assistant', blocks);
+            } else {
+                const blocks = (item.images || []).map(image => ({
+                    type: 'image',
+                    source: { type: 'base64', media_type: image.mimeType, data: image.data }
+                }));
+                if (item.content) blocks.push({ type: 'text', text: item.content });
+                if (blocks.length) pushBlocks('user', blocks);
+            }
+        });
+        return { system: system.join('\n\n'), messages: result };
     }
 
+    /**
+     * Reads Anthropic usage into the common usage shape
+     * @param {Object} usage - {input_tokens, output_tokens}
+     * @returns {Object|null}
+     */
+    function anthropicUsage(usage) {
+        if (!usage) return null;
+        return makeUsage(usage.input_tokens, usage.output_tokens);
+    }
+
+    // Anthropic Messages API (Claude models)
+    registerProvider({
+        name: 'anthropic',
+        models: [
+            { id: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5' },
+            { id: 'claude-haiku-4-5', label: 'Claude Haiku 4.5' }
+        ],
+        matchesModel: model => model.startsWith('claude'),
+        requiresApiKey: true,
+        supportsTools: () => true,
+        supportsImages: () => true,
+        buildRequest({ model, messages, stream, tools, params }) {
+            const mapped = toAnthropicMessages(messages);
+            const payload = {
+                model,
+                max_tokens: generationConfig.maxOutputTokens,
+                messages: mapped.messages,
+                ...mapGenerationParams(params, ANTHROPIC_PARAM_FIELDS)
+            };
+            // Current Claude models accept temperature or top_p, not both
+            if (payload.temperature !== undefined && payload.top_p !== undefined) {
+                delete payload.top_p;
+            }
+            if (mapped.system) payload.system = mapped.system;
+            if (stream) payload.stream = true;
+            if (tools) {
+                payload.tools = tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    input_schema: tool.parameters
+                }));
+            }
+            return {
+                url: 'https://api.anthropic.com/v1/messages',
+                options: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-api-key': getApiKey('anthropic'),
+                        'anthropic-version': '2023-06-01',
+                        // Required for calls made straight from the browser
+                        'anthropic-dangerous-direct-browser-access': 'true'
+                    },
+                    body: JSON.stringify(payload)
+                },
+                useProxy: false
+            };
+        },
+        parseResponse(result) {
+            if (result.type === 'error') {
+                throw new Error(result.error?.message || 'Anthropic API error');
+            }
+            const blocks = result.content || [];
+            const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+            const toolCalls = blocks
+                .filter(b => b.type === 'tool_use')
+                .map(b => ({ id: b.id, name: b.name, arguments: b.input || {} }));
+            return { text, usage: anthropicUsage(result.usage), toolCalls };
+        },
+        parseStreamEvent(data) {
+            switch (data.type) {
+                case 'message_start':
+                    return { text: '', usage: anthropicUsage(data.message?.usage) };
+                case 'content_block_start':
+                    if (data.content_block?.type === 'tool_use') {
+                        return { text: '', toolCalls: [{ index: data.index, id: data.content_block.id, name: data.content_block.name }] };
+                    }
+                    return { text: data.content_block?.text || '' };
+                case 'content_block_delta':
+                    if (data.delta?.type === 'input_json_delta') {
+                        return { text: '', toolCalls: [{ index: data.index, argumentsDelta: data.delta.partial_json }] };
+                    }
+                    return { text: data.delta?.text || '' };
+                case 'message_delta':
+                    return { text: '', usage: anthropicUsage(data.usage) };
+                case 'error':
+                    throw new Error(data.error?.message || 'Anthropic stream error');
+                default:
+                    return null;
+            }
+        }
+    });
+
     // Public API
     return {
-        init,
-        sendOpenAIRequest,
-        streamOpenAIRequest,
-        createGeminiSession,
-        streamGeminiRequest,
-        getTokenUsage
+        setApiKeys,
+        registerProvider,
+        getProvider,
+        listModels,
+        supportsImages,
+        createOpenAICompatibleProvider,
+        setCustomEndpoints,
+        discoverModels,
+        complete,
+        estimateTokens,
+        estimateUsage
     };
 })(); 
\ No newline at end of file
@@ -15,6 +15,7 @@ const App = (function() {
     function init() {
         // Initialize UI controller
         UIController.init();
+        InspectorController.init();
         
         // Load saved settings from cookie
         const savedSettings = Utils.getSettingsFromCookie() || {};
@@ -28,27 +29,33 @@ const App = (function() {
         // Show main container (will be visible but login modal on top)
         document.getElementById('chat-container').style.display = 'flex';
         
-        // Check for saved password
+        // Drop the password cookie used by older versions
+        Utils.deleteCookie('chat_pwd');
+        
+        // Unlock the API key vault, or prompt for the passphrase
         checkPasswordOrPrompt();
     }
 
     /**
-     * Checks for a saved password or prompts the user
+     * Unlocks the key vault with the key remembered on this device, or prompts the user
      */
-    function checkPasswordOrPrompt() {
-        const savedPassword = Utils.getPasswordFromCookie();
-        
-        if (savedPassword) {
-            doLogin(savedPassword);
-        } else {
-            showLoginModal();
+    async function checkPasswordOrPrompt() {
+        try {
+            const keys = await KeyManager.unlockWithRememberedKey();
+            if (keys) {
+                ApiService.setApiKeys(keys);
+                return;
+            }
+        } catch (err) {
+            console.error('Failed to open the key vault:', err);
         }
+        showLoginModal();
     }
     
     /**
      * Creates and shows the login modal
      */
-    function showLoginModal() {
+    async function showLoginModal() {
         if (!loginModal) {
             // Create login modal from template
             loginModal = Utils.createFromTemplate('login-modal-template');
@@ -61,6 +68,7 @@ const App = (function() {
                     handleLogin();
                 }
             });
+            document.getElementById('reset-keys-button').addEventListener('click', handleResetKeys);
             
             // Focus the password input
             setTimeout(() => {
@@ -68,67 +76,91 @@ const App = (function() {
             }, 100);
         }
         
+        // First run sets the passphrase instead of asking for it
+        const hasVault = await KeyManager.hasVault().catch(() => false);
+        document.getElementById('login-intro').textContent = hasVault
+            ? 'Enter your passphrase to unlock your API keys.'
+            : 'Choose a passphrase. It encrypts the API keys you add in Settings on this device.';
+        document.getElementById('reset-keys-button').style.display = hasVault ? '' : 'none';
+        
         loginModal.style.display = 'flex';
         document.getElementById('login-error').style.display = 'none';
     }
     
+    /**
+     * Shows an error in the login modal
+     * @param {string} message - The error message
+     */
+    function showLoginError(message) {
+        document.getElementById('login-error').textContent = message;
+        document.getElementById('login-error').style.display = 'block';
+    }
+    
     /**
      * Handles login form submission
      */
-    function handleLogin() {
+    async function handleLogin() {
         const passwordInput = document.getElementById('api-password');
         const rememberCheckbox = document.getElementById('remember-password');
         const password = passwordInput.value.trim();
         
         if (!password) {
-            document.getElementById('login-error').textContent = 'Password is required.';
-            document.getElementById('login-error').style.display = 'block';
+            showLoginError('Passphrase is required.');
             return;
         }
         
-        const success = ApiService.init(password);
-        
-        if (success) {
+        try {
+            const keys = await KeyManager.unlock(password, rememberCheckbox.checked);
+            ApiService.setApiKeys(keys);
+            
             // Store remember password setting
             const settings = ChatController.getSettings();
             settings.rememberPassword = rememberCheckbox.checked;
             ChatController.updateSettings(settings);
             
-            // Save password if remember is checked
-            if (rememberCheckbox.checked) {
-                Utils.savePasswordToCookie(password);
-            }
-            
             // Hide the login modal
             loginModal.style.display = 'none';
-        } else {
+            passwordInput.value = '';
+        } catch (err) {
+            console.error('Failed to unlock API keys:', err);
             // Show error message
-            document.getElementById('login-error').textContent = 'Invalid password. Please try again.';
-            document.getElementById('login-error').style.display = 'block';
-            Utils.clearSavedPassword();
+            showLoginError(err.message === 'Invalid passphrase'
+                ? 'Invalid passphrase. Please try again.'
+                : `Could not unlock API keys: ${err.message}`);
             passwordInput.value = '';
             passwordInput.focus();
         }
     }
     
     /**
-     * Attempts to login with the provided password
-     * @param {string} password - The API key password
+     * Deletes all stored keys so a new passphrase can be chosen
      */
-    function doLogin(password) {
-        const success = ApiService.init(password);
-        
-        if (!success) {
-            Utils.clearSavedPassword();
-            showLoginModal();
+    async function handleResetKeys() {
+        if (!confirm('Delete all stored API keys and choose a new passphrase?')) return;
+        try {
+            await KeyManager.reset();
+        } catch (err) {
+            console.error('Failed to reset API keys:', err);
+            showLoginError(`Could not delete the stored keys: ${err.message}`);
+            return;
         }
+        ApiService.setApiKeys({});
+        showLoginModal();
     }
     
     /**
-     * Logs the user out by clearing saved credentials
+     * Logs the user out by forgetting the remembered key
      */
-    function logOut() {
-        Utils.clearSavedPassword();
+    async function logOut() {
+        try {
+            await KeyManager.forget();
+        } catch (err) {
+            // Reloading now would unlock again with the key that is still remembered
+            console.error('Failed to log out:', err);
+            const errorArea = document.getElementById('api-keys-error');
+            if (errorArea) errorArea.textContent = `Could not log out: ${err.message}`;
+            return;
+        }
         location.reload();
     }
 
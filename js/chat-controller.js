@@ -9,6 +9,22 @@ const ChatController = (function() {
     // Private state
     let chatHistory = [];
     let totalTokens = 0;
+    // Prompt/completion token counts for the running turn and the whole session
+    let turnUsage = emptyUsage();
+    let sessionUsage = emptyUsage();
+    // Spend in USD for the running turn and this conversation; daily spend lives in localStorage
+    let turnCost = 0;
+    let conversationCost = 0;
+    let hasUnpricedUsage = false;
+    // Generation parameters for this conversation only, layered over the model's saved ones
+    let conversationParams = null;
+    // Models that failed with a fallback-worthy error during the running turn
+    let turnFailedModels = new Set();
+    const FALLBACK_MAX_ATTEMPTS = 2;
+    // Structured output for the running turn ({name, schema}) and retries used on schema violations
+    let turnSchema = null;
+    let schemaRetries = 0;
+    const MAX_SCHEMA_RETRIES = 2;
     let settings = { streaming: false, enableCoT: false, showThinking: true };
     let isThinking = false;
     let lastThinkingContent = '';
@@ -21,23 +37,69 @@ const ChatController = (function() {
     let autoReadInProgress = false;
     let toolCallHistory = [];
     let highlightedResultIndices = new Set();
-    // Add a cache for read_url results
-    const readCache = new Map();
+    // Pages read recently, by URL (oldest first), so section jumps and follow-up reads skip the fetch
+    const pageCache = new Map();
+    const PAGE_CACHE_SIZE = 10;
+    const MAX_SECTION_LENGTH = 6000;
     // Store the original user question for use in final answer synthesis
     let originalUserQuestion = '';
     // Add a flag to control tool workflow
     let toolWorkflowActive = true;
+    // Native tool calls currently running; text results produced meanwhile
+    // (e.g. auto-reads triggered by web_search) wait until the tool messages are in
+    let nativeToolDepth = 0;
+    let deferredToolContext = [];
+    // Aborts the running turn (model calls, tool chain and fetches) when Stop is pressed
+    let turnController = null;
 
-    // Add helper to robustly extract JSON tool calls (handles markdown fences)
+    /**
+     * Gets the abort signal of the running turn
+     * @returns {AbortSignal|undefined}
+     */
+    function currentSignal() {
+        return turnController ? turnController.signal : undefined;
+    }
+
+    /**
+     * Finds the closing brace of a JSON object, skipping braces inside strings
+     * @param {string} text - The text to scan
+     * @param {number} start - Index of the opening brace
+     * @returns {number} - Index of the matching closing brace, or -1
+     */
+    function findObjectEnd(text, start) {
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const ch = text[i];
+            if (inString) {
+                if (ch === '\\') i++;
+                else if (ch === '"') inString = false;
+            } else if (ch === '"') {
+                inString = true;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}') {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return -1;
+    }
+
+    // Text fallback for models without function calling: find the first
+    // balanced JSON object in the reply that looks like {"tool":..., "arguments":...}
     function extractToolCall(text) {
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) return null;
-        try {
-            return JSON.parse(jsonMatch[0]);
-        } catch (err) {
-            console.warn('Tool JSON parse error:', err, 'from', jsonMatch[0]);
-            return null;
+        for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+            const end = findObjectEnd(text, start);
+            if (end === -1) break;
+            try {
+                const parsed = JSON.parse(text.slice(start, end + 1));
+                if (parsed && parsed.tool && parsed.arguments) return parsed;
+            } catch (err) {
+                // Not JSON; keep scanning
+            }
         }
+        return null;
     }
 
     const cotPreamble = `**Chain of Thought Instructions:**
@@ -52,17 +114,28 @@ const ChatController = (function() {
 Begin Reasoning Now:
 `;
 
-    // Tool handler registry
-    const toolHandlers = {
-        web_search: async function(args) {
-            if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
-                UIController.addMessage('ai', 'Error: Invalid web_search query.');
-                return;
-            }
+    // Built-in tools. Each handler returns the text the model should see as the tool result;
+    // more tools can be added with ToolsService.registerTool without changing this module
+    ToolsService.registerTool({
+        name: 'web_search',
+        description: 'Search the web. Returns a numbered list of results with title, url and snippet.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', pattern: '\\S', description: 'The search query' },
+                engine: { type: 'string', enum: ['duckduckgo', 'google', 'bing', 'meta'], default: 'duckduckgo', description: 'Search engine to use (default duckduckgo); meta searches all three and merges the rankings' },
+                refresh: { type: 'boolean', default: false, description: 'Skip the cache and search again (default false)' }
+            },
+            required: ['query']
+        },
+        examples: [{ question: 'What is the latest news about OpenAI?', arguments: { query: 'latest news about OpenAI' } }],
+        instructions: 'Use engine "meta" when one engine gives few or poor results, or the question needs broad coverage; results found by several engines are listed with their engines and are usually the most relevant.',
+        handler: async function(args) {
             const engine = args.engine || 'duckduckgo';
             UIController.showSpinner(`Searching (${engine}) for "${args.query}"...`);
             UIController.showStatus(`Searching (${engine}) for "${args.query}"...`);
             let results = [];
+            let resultText;
             try {
                 const streamed = [];
                 results = await ToolsService.webSearch(args.query, (result) => {
@@ -70,118 +143,357 @@ Begin Reasoning Now:
                     // Pass highlight flag if this index is in highlightedResultIndices
                     const idx = streamed.length - 1;
                     UIController.addSearchResult(result, (url) => {
-                        processToolCall({ tool: 'read_url', arguments: { url, start: 0, length: 1122 } });
+                        processToolCallFromUI({ tool: 'read_url', arguments: { url, start: 0, length: 1122 } });
                     }, highlightedResultIndices.has(idx));
-                }, engine);
+                }, engine, { signal: currentSignal(), refresh: !!args.refresh });
                 if (!results.length) {
                     UIController.addMessage('ai', `No search results found for "${args.query}".`);
                 }
-                const plainTextResults = results.map((r, i) => `${i+1}. ${r.title} (${r.url}) - ${r.snippet}`).join('\n');
-                chatHistory.push({ role: 'assistant', content: `Search results for "${args.query}" (${results.length}):\n${plainTextResults}` });
+                const plainTextResults = results.map((r, i) => `${i+1}. ${r.title} (${r.url})${r.engines ? ` [${r.engines.join(', ')}]` : ''} - ${r.snippet}`).join('\n');
+                resultText = `Search results for "${args.query}" (${results.length}):\n${plainTextResults}`;
                 lastSearchResults = results;
                 // Prompt AI to suggest which results to read
                 await suggestResultsToRead(results, args.query);
             } catch (err) {
+                if (Utils.isAbortError(err)) throw err;
                 UIController.hideSpinner();
                 UIController.addMessage('ai', `Web search failed: ${err.message}`);
-                chatHistory.push({ role: 'assistant', content: `Web search failed: ${err.message}` });
+                resultText = `Web search failed: ${err.message}`;
             }
             UIController.hideSpinner();
             UIController.clearStatus();
+            return resultText;
+        }
+    });
+
+    ToolsService.registerTool({
+        name: 'read_url',
+        description: 'Read the main article of a web page as Markdown, or the text of a PDF with [Page N] markers, from character offset start (default 0) for about length characters (default 1122), ending at a paragraph break. The first read also returns the title, byline, published date, canonical URL, word count and an outline of section ids.',
+        parameters: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', pattern: '^https?://', description: 'The http(s) URL to read' },
+                start: { type: 'integer', minimum: 0, default: 0, description: 'Character offset to start from (default 0)' },
+                length: { type: 'integer', minimum: 1, default: 1122, description: 'Number of characters to return (default 1122)' },
+                refresh: { type: 'boolean', default: false, description: 'Skip the cache and fetch again (default false)' }
+            },
+            required: ['url']
         },
-        read_url: async function(args) {
-            if (!args.url || typeof args.url !== 'string' || !/^https?:\/\//.test(args.url)) {
-                UIController.addMessage('ai', 'Error: Invalid read_url argument.');
-                return;
-            }
+        examples: [{ question: 'Read the content of https://example.com and summarize it.', arguments: { url: 'https://example.com', start: 0, length: 1122 } }],
+        instructions: 'If you need to read a web page, use read_url. If the result ends with "[More from start=N]", always determine if fetching more text will improve your answer. If so, output another read_url tool call with the same url, start set to N, and length set to 5000. Repeat until you have enough content. When citing a PDF, give the page number from its [Page N] markers. Searches and pages are cached for a few hours; set refresh to true only when the user asks for the latest version.',
+        handler: async function(args) {
             UIController.showSpinner(`Reading content from ${args.url}...`);
             UIController.showStatus(`Reading content from ${args.url}...`);
+            let resultText;
             try {
-                const result = await ToolsService.readUrl(args.url);
-                const start = (typeof args.start === 'number' && args.start >= 0) ? args.start : 0;
-                const length = (typeof args.length === 'number' && args.length > 0) ? args.length : 1122;
-                const snippet = String(result).slice(start, start + length);
-                const hasMore = (start + length) < String(result).length;
-                UIController.addReadResult(args.url, snippet, hasMore);
-                const plainTextSnippet = `Read content from ${args.url}:\n${snippet}${hasMore ? '...' : ''}`;
-                chatHistory.push({ role: 'assistant', content: plainTextSnippet });
+                const page = await loadPage(args.url, !!args.refresh);
+                const { start, end } = ContentExtractor.snapRange(page.content, args.start ?? 0, args.length ?? 1122);
+                const snippet = page.content.slice(start, end).trim();
+                const next = end < page.content.length ? end : null;
+                const pageRange = page.pages ? PdfExtractor.pagesForRange(page.pages, start, end) : null;
+                // Metadata and the outline go with the first chunk only
+                const details = start === 0 ? describePage(page) : '';
+                UIController.addReadResult(args.url, snippet, next, start === 0 ? page : null, pageRange);
+                const source = pageRange ? `${args.url} (${describePageRange(pageRange, page.pageCount)})` : args.url;
+                resultText = `Read content from ${source}:\n${details ? `${details}\n\n` : ''}${snippet}${moreMarker(next)}`;
                 // Collect snippets for summarization
                 readSnippets.push(snippet);
                 if (readSnippets.length >= 2) {
                     UIController.addSummarizeButton(() => summarizeSnippets());
                 }
             } catch (err) {
+                if (Utils.isAbortError(err)) throw err;
                 UIController.hideSpinner();
                 UIController.addMessage('ai', `Read URL failed: ${err.message}`);
-                chatHistory.push({ role: 'assistant', content: `Read URL failed: ${err.message}` });
+                resultText = `Read URL failed: ${err.message}`;
             }
             UIController.hideSpinner();
             UIController.clearStatus();
+            return resultText;
+        }
+    });
+
+    ToolsService.registerTool({
+        name: 'read_section',
+        description: 'Read one section of a page, by its id from the outline that read_url returns (e.g. "s3", or "p7" for page 7 of a PDF). Long sections are cut at a paragraph break.',
+        parameters: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', pattern: '^https?://', description: 'The page URL, as passed to read_url' },
+                section: { type: 'string', pattern: '^[sp]\\d+$', description: 'The section id from the outline' },
+                refresh: { type: 'boolean', default: false, description: 'Skip the cache and fetch again (default false)' }
+            },
+            required: ['url', 'section']
         },
-        instant_answer: async function(args) {
-            if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
-                UIController.addMessage('ai', 'Error: Invalid instant_answer query.');
-                return;
+        instructions: 'The first read_url of a long page lists its outline. To get to the part that answers the question, call read_section with a section id from that outline instead of paging through the page with start offsets.',
+        handler: async function(args) {
+            UIController.showStatus(`Reading section ${args.section} of ${args.url}...`);
+            let resultText;
+            try {
+                const page = await loadPage(args.url, !!args.refresh);
+                const section = page.outline.find(s => s.id === args.section);
+                if (!section) {
+                    const ids = page.outline.map(s => s.id).join(', ');
+                    throw new Error(`No section "${args.section}" on this page${ids ? ` (sections: ${ids})` : ' (it has no outline)'}`);
+                }
+                const end = section.end - section.start > MAX_SECTION_LENGTH
+                    ? ContentExtractor.snapRange(page.content, section.start, MAX_SECTION_LENGTH).end
+                    : section.end;
+                const snippet = page.content.slice(section.start, end).trim();
+                const next = end < page.content.length ? end : null;
+                const pageRange = page.pages ? PdfExtractor.pagesForRange(page.pages, section.start, end) : null;
+                UIController.addReadResult(args.url, snippet, next, null, pageRange);
+                const source = pageRange ? `${args.url} (${describePageRange(pageRange, page.pageCount)})` : args.url;
+                resultText = `Section ${section.id} "${section.title}" of ${source}:\n${snippet}${moreMarker(next)}`;
+                readSnippets.push(snippet);
+                if (readSnippets.length >= 2) {
+                    UIController.addSummarizeButton(() => summarizeSnippets());
+                }
+            } catch (err) {
+                if (Utils.isAbortError(err)) throw err;
+                UIController.addMessage('ai', `Read section failed: ${err.message}`);
+                resultText = `Read section failed: ${err.message}`;
             }
+            UIController.clearStatus();
+            return resultText;
+        }
+    });
+
+    ToolsService.registerTool({
+        name: 'instant_answer',
+        description: "Get quick facts, definitions and summaries from DuckDuckGo's Instant Answer API. Returns a JSON object.",
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', pattern: '\\S', description: 'The question or topic' }
+            },
+            required: ['query']
+        },
+        examples: [{ question: 'What is the capital of France?', arguments: { query: 'capital of France' } }],
+        handler: async function(args) {
             UIController.showStatus(`Retrieving instant answer for "${args.query}"...`);
+            let resultText;
             try {
-                const result = await ToolsService.instantAnswer(args.query);
-                const text = JSON.stringify(result, null, 2);
-                UIController.addMessage('ai', text);
-                chatHistory.push({ role: 'assistant', content: text });
+                const result = await ToolsService.instantAnswer(args.query, { signal: currentSignal() });
+                resultText = JSON.stringify(result, null, 2);
+                UIController.addMessage('ai', resultText);
             } catch (err) {
+                if (Utils.isAbortError(err)) throw err;
                 UIController.clearStatus();
                 UIController.addMessage('ai', `Instant answer failed: ${err.message}`);
-                chatHistory.push({ role: 'assistant', content: `Instant answer failed: ${err.message}` });
+                resultText = `Instant answer failed: ${err.message}`;
             }
             UIController.clearStatus();
+            return resultText;
         }
-    };
+    });
 
     /**
-     * Initializes the chat controller
-     * @param {Object} initialSettings - Initial settings for the chat
+     * Reads a page through ToolsService, reusing the last few pages read
+     * @param {string} url
+     * @param {boolean} [refresh] - Fetch it again, skipping both caches
+     * @returns {Promise<Object>} - The page, as ToolsService.readUrl returns it
      */
-    function init(initialSettings) {
-        // Reset and seed chatHistory with system tool instructions
-        chatHistory = [{
-            role: 'system',
-            content: `You are an AI assistant with access to three external tools. You MUST use these tools to answer any question that requires up-to-date facts, statistics, or detailed content. Do NOT attempt to answer such questions from your own knowledge. The tools are:
+    async function loadPage(url, refresh = false) {
+        let page = refresh ? null : pageCache.get(url);
+        if (page) {
+            pageCache.delete(url);
+        } else {
+            pageCache.delete(url);
+            page = await ToolsService.readUrl(url, { signal: currentSignal(), refresh });
+            if (pageCache.size >= PAGE_CACHE_SIZE) pageCache.delete(pageCache.keys().next().value);
+        }
+        pageCache.set(url, page);
+        return page;
+    }
+
+    // Helper: The line that tells the model where the next read_url should start
+    function moreMarker(next) {
+        return next === null ? '' : `\n[More from start=${next}]`;
+    }
+
+    /**
+     * Lists a page's sections for the model, indented by heading level
+     * @param {Array<Object>} outline - From ToolsService.readUrl
+     * @returns {string}
+     */
+    function describeOutline(outline) {
+        const MAX_OUTLINE_ENTRIES = 40;
+        const topLevel = Math.min(...outline.map(s => s.level));
+        const lines = outline.slice(0, MAX_OUTLINE_ENTRIES)
+            .map(s => `${'  '.repeat(s.level - topLevel)}- ${s.id}: ${s.title}`);
+        if (outline.length > MAX_OUTLINE_ENTRIES) lines.push(`- ... ${outline.length - MAX_OUTLINE_ENTRIES} more`);
+        return `Outline (read one part with read_section):\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Describes a page's metadata for the model, one field per line, then its outline
+     * @param {Object} page - From ToolsService.readUrl
+     * @returns {string}
+     */
+    function describePage(page) {
+        const fields = [
+            page.title && `Title: ${page.title}`,
+            page.byline && `Byline: ${page.byline}`,
+            page.publishedAt && `Published: ${page.publishedAt}`,
+            page.canonicalUrl && page.canonicalUrl !== page.url && `Canonical URL: ${page.canonicalUrl}`,
+            page.pageCount && `Pages: ${page.pageCount} (PDF)`,
+            `Word count: ${page.wordCount}`
+        ].filter(Boolean).join('\n');
+        // A one-section outline adds nothing to the first read
+        return page.outline && page.outline.length > 1 ? `${fields}\n\n${describeOutline(page.outline)}` : fields;
+    }
+
+    /**
+     * Describes the PDF pages a read covers, e.g. "pages 3-5 of 12"
+     * @param {{from:number, to:number}} range - From PdfExtractor.pagesForRange
+     * @param {number} [pageCount]
+     * @returns {string}
+     */
+    function describePageRange(range, pageCount) {
+        const pages = range.from === range.to ? `page ${range.from}` : `pages ${range.from}-${range.to}`;
+        return pageCount ? `${pages} of ${pageCount}` : pages;
+    }
 
-1. web_search(query) → returns a JSON array of search results [{title, url, snippet}, …]
-2. read_url(url[, start, length]) → returns the text content of a web page from position 'start' (default 0) up to 'length' characters (default 1122)
-3. instant_answer(query) → returns a JSON object from DuckDuckGo's Instant Answer API for quick facts, definitions, and summaries (no proxies needed)
+    /**
+     * Runs code in the sandbox and shows it; the text returned goes to the model
+     * @param {string} code - An expression or script
+     * @returns {Promise<string>}
+     */
+    async function runSandboxedCode(code) {
+        UIController.showStatus('Running code in the sandbox...');
+        try {
+            const outcome = await SandboxService.run(code, { signal: currentSignal() });
+            UIController.addCodeResult(code, outcome);
+            const lines = [];
+            if (outcome.stdout) lines.push(`Output:\n${outcome.stdout}`);
+            if (outcome.result !== undefined) lines.push(`Result: ${outcome.result}`);
+            if (outcome.error) lines.push(`Error: ${outcome.error}`);
+            if (outcome.truncated) lines.push('(output truncated)');
+            return lines.join('\n') || 'Result: undefined';
+        } catch (err) {
+            if (Utils.isAbortError(err)) throw err;
+            UIController.addMessage('ai', `Code run failed: ${err.message}`);
+            return `Code run failed: ${err.message}`;
+        } finally {
+            UIController.clearStatus();
+        }
+    }
+
+    ToolsService.registerTool({
+        name: 'calculate',
+        description: 'Evaluate a JavaScript math expression exactly (arithmetic, Math functions, unit conversions). Returns the value.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', pattern: '\\S', maxLength: 2000, description: 'A single JavaScript expression, e.g. "(72 - 32) * 5 / 9"' }
+            },
+            required: ['expression']
+        },
+        examples: [{ question: 'What is 17.5% of 2,340?', arguments: { expression: '2340 * 0.175' } }],
+        handler: args => runSandboxedCode(args.expression)
+    });
+
+    ToolsService.registerTool({
+        name: 'run_js',
+        description: 'Run a short JavaScript script in a sandbox without DOM or network access (3 s CPU limit). Returns console.log output, the value the script returns, and any error.',
+        parameters: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', pattern: '\\S', maxLength: 20000, description: 'The script; use console.log for output and return for the result' }
+            },
+            required: ['code']
+        },
+        instructions: 'Use calculate or run_js for any arithmetic, date or unit math instead of working it out yourself.',
+        handler: args => runSandboxedCode(args.code)
+    });
+
+    /**
+     * Gets the registered tools as native function declarations
+     * @returns {Array<{name:string, description:string, parameters:Object}>}
+     */
+    function getToolSchemas() {
+        return ToolsService.listTools().map(({ name, description, parameters }) => ({ name, description, parameters }));
+    }
+
+    // Helper: "read_url(url[, start, length])" from a tool's parameter schema
+    function toolSignature(tool) {
+        const properties = Object.keys(tool.parameters.properties || {});
+        const required = tool.parameters.required || [];
+        const optional = properties.filter(name => !required.includes(name));
+        return `${tool.name}(${required.join(', ')}${optional.length ? `${required.length ? '[, ' : '['}${optional.join(', ')}]` : ''})`;
+    }
+
+    // Helper: Placeholder arguments for the call format, from the required properties
+    function placeholderArguments(parameters) {
+        const args = {};
+        (parameters.required || []).forEach(name => {
+            const property = (parameters.properties || {})[name] || {};
+            if ('default' in property) args[name] = property.default;
+            else if (property.enum) args[name] = property.enum[0];
+            else if (property.type === 'integer' || property.type === 'number') args[name] = 0;
+            else if (property.type === 'boolean') args[name] = false;
+            else args[name] = `your ${name}`;
+        });
+        return args;
+    }
+
+    /**
+     * Builds the system prompt, listing the registered tools with call formats and examples
+     * @returns {string}
+     */
+    function buildSystemPrompt() {
+        const tools = ToolsService.listTools();
+        const toolList = tools.map((tool, i) => `${i + 1}. ${toolSignature(tool)} → ${tool.description}`).join('\n');
+        const guidance = tools.filter(tool => tool.instructions).map(tool => `\n- ${tool.instructions}`).join('');
+        const formats = tools.map(tool => `  ${JSON.stringify({ tool: tool.name, arguments: placeholderArguments(tool.parameters) })}`).join('\n');
+        const examples = tools.flatMap(tool => tool.examples.map(example =>
+            `Q: ${example.question}\nA: ${JSON.stringify({ tool: tool.name, arguments: example.arguments })}`
+        )).join('\n\n');
+        return `You are an AI assistant with access to ${tools.length} external tools. You MUST use these tools to answer any question that requires up-to-date facts, statistics, or detailed content. Do NOT attempt to answer such questions from your own knowledge. The tools are:
+
+${toolList}
 
 **INSTRUCTIONS:**
-- If you need information from the web, you MUST output a tool call as a single JSON object, and NOTHING else. Do NOT include any explanation, markdown, or extra text.
-- After receiving a tool result, reason step by step (Chain of Thought) and decide if you need to call another tool. If so, output another tool call JSON. Only provide your final answer after all necessary tool calls are complete.
-- If you need to read a web page, use read_url. If the snippet ends with an ellipsis ("..."), always determine if fetching more text will improve your answer. If so, output another read_url tool call with the same url, start at your previous offset, and length set to 5000. Repeat until you have enough content.
+- If function calling is available to you, call the tools directly through it.
+- Otherwise, if you need information from the web, you MUST output a tool call as a single JSON object, and NOTHING else. Do NOT include any explanation, markdown, or extra text.
+- After receiving a tool result, reason step by step (Chain of Thought) and decide if you need to call another tool. If so, output another tool call JSON. Only provide your final answer after all necessary tool calls are complete.${guidance}
 - If you do NOT know the answer, or are unsure, ALWAYS call a tool first.
-- When calling a tool, output EXACTLY a JSON object and nothing else, in this format:
-  {"tool":"web_search","arguments":{"query":"your query"}}
-  {"tool":"read_url","arguments":{"url":"https://example.com","start":0,"length":1122}}
-  {"tool":"instant_answer","arguments":{"query":"your query"}}
+- When calling a tool without function calling, output EXACTLY a JSON object and nothing else, in this format:
+${formats}
 - Do NOT output any other text, markdown, or explanation with the tool call JSON.
 - After receiving the tool result, continue reasoning step by step and then provide your answer.
+${examples ? `\n**EXAMPLES:**\n${examples}\n` : ''}
+If you understand, follow these instructions for every relevant question. Do NOT answer from your own knowledge if a tool call is needed. Wait for the tool result before continuing.`;
+    }
 
-**EXAMPLES:**
-Q: What is the latest news about OpenAI?
-A: {"tool":"web_search","arguments":{"query":"latest news about OpenAI"}}
-
-Q: Read the content of https://example.com and summarize it.
-A: {"tool":"read_url","arguments":{"url":"https://example.com","start":0,"length":1122}}
-
-Q: What is the capital of France?
-A: {"tool":"instant_answer","arguments":{"query":"capital of France"}}
+    /**
+     * Puts the current system prompt at the start of the history, so tools
+     * registered since the last turn are listed
+     */
+    function refreshSystemPrompt() {
+        const message = { role: 'system', content: buildSystemPrompt() };
+        if (chatHistory[0] && chatHistory[0].role === 'system') {
+            chatHistory[0] = message;
+        } else {
+            chatHistory.unshift(message);
+        }
+    }
 
-If you understand, follow these instructions for every relevant question. Do NOT answer from your own knowledge if a tool call is needed. Wait for the tool result before continuing.`,
-        }];
+    /**
+     * Initializes the chat controller
+     * @param {Object} initialSettings - Initial settings for the chat
+     */
+    function init(initialSettings) {
+        // Reset and seed chatHistory with system tool instructions
+        chatHistory = [];
+        refreshSystemPrompt();
         if (initialSettings) {
             settings = { ...settings, ...initialSettings };
         }
         
         // Set up event handlers through UI controller
-        UIController.setupEventHandlers(sendMessage, clearChat);
+        UIController.setupEventHandlers(sendMessage, clearChat, stopGeneration);
     }
 
     /**
@@ -199,9 +511,176 @@ If you understand, follow these instructions for every relevant question. Do NOT
     function clearChat() {
         chatHistory = [];
         totalTokens = 0;
+        turnUsage = emptyUsage();
+        sessionUsage = emptyUsage();
+        turnCost = 0;
+        conversationCost = 0;
+        hasUnpricedUsage = false;
+        conversationParams = null;
         Utils.updateTokenDisplay(0);
     }
 
+    /**
+     * Sets generation parameters for this conversation (null removes the override)
+     * @param {Object|null} params - {temperature, topP, maxTokens, stopSequences, seed, presencePenalty, frequencyPenalty}
+     */
+    function setConversationParams(params) {
+        conversationParams = params ? { ...params } : null;
+    }
+
+    /**
+     * Gets the conversation's generation parameter override
+     * @returns {Object|null}
+     */
+    function getConversationParams() {
+        return conversationParams ? { ...conversationParams } : null;
+    }
+
+    // Helper: Zeroed usage counters
+    function emptyUsage() {
+        return { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
+    }
+
+    // Helper: Local calendar day used to key the daily spend
+    function today() {
+        return new Date().toLocaleDateString('en-CA');
+    }
+
+    /**
+     * Gets today's spend across conversations
+     * @returns {number} - USD
+     */
+    function getDailySpend() {
+        const spend = Utils.getFromStorage('chat_daily_spend');
+        return spend && spend.date === today() ? spend.cost : 0;
+    }
+
+    /**
+     * Adds to today's spend
+     * @param {number} cost - USD
+     */
+    function addDailySpend(cost) {
+        Utils.saveToStorage('chat_daily_spend', { date: today(), cost: getDailySpend() + cost });
+    }
+
+    // Helper: Refresh the token and cost display
+    function refreshUsageDisplay() {
+        Utils.updateTokenDisplay(totalTokens, {
+            turn: turnUsage,
+            session: sessionUsage,
+            cost: { turn: turnCost, conversation: conversationCost, day: getDailySpend(), unpriced: hasUnpricedUsage }
+        });
+    }
+
+    /**
+     * Checks whether the next request would go over the daily or per-conversation budget
+     * @param {string} model - The model id
+     * @param {Array} messages - The messages about to be sent
+     * @returns {string|null} - Which budget would be exceeded, or null
+     */
+    function checkBudget(model, messages) {
+        const { dailyBudget, conversationBudget } = SettingsController.getSettings();
+        if (!dailyBudget && !conversationBudget) return null;
+        // Only the prompt side is known before sending
+        const estimate = SettingsController.calculateCost(model, ApiService.estimateUsage(messages, { text: '', toolCalls: [] })) || 0;
+        if (conversationBudget && conversationCost + estimate > conversationBudget) {
+            return `This request would exceed the conversation budget ($${conversationCost.toFixed(4)} of $${conversationBudget} spent).`;
+        }
+        const daily = getDailySpend();
+        if (dailyBudget && daily + estimate > dailyBudget) {
+            return `This request would exceed the daily budget ($${daily.toFixed(4)} of $${dailyBudget} spent today).`;
+        }
+        return null;
+    }
+
+    /**
+     * Adds one request's usage and cost to the turn, session and daily counters and refreshes the display
+     * @param {Object} usage - {promptTokens, completionTokens, totalTokens, estimated?}
+     * @param {string} model - The model that served the request
+     */
+    function recordUsage(usage, model) {
+        if (!usage) return;
+        const cost = SettingsController.calculateCost(model, usage);
+        if (cost === null) {
+            hasUnpricedUsage = true;
+        } else {
+            turnCost += cost;
+            conversationCost += cost;
+            addDailySpend(cost);
+        }
+        [turnUsage, sessionUsage].forEach(target => {
+            target.promptTokens += usage.promptTokens || 0;
+            target.completionTokens += usage.completionTokens || 0;
+            target.totalTokens += usage.totalTokens || 0;
+            target.estimated = target.estimated || !!usage.estimated;
+        });
+        totalTokens = sessionUsage.totalTokens;
+        refreshUsageDisplay();
+    }
+
+    // Helper: Count down in the status bar until ApiService retries a failed request
+    function showRetryCountdown({ attempt, maxAttempts, delayMs, error }) {
+        const reason = error.status === 429 ? 'Rate limited' : `Request failed (${error.status ? 'HTTP ' + error.status : error.message})`;
+        UIController.showCountdown(seconds => seconds > 0
+            ? `${reason}. Retrying in ${seconds}s (attempt ${attempt + 1} of ${maxAttempts})...`
+            : `${reason}. Retrying now (attempt ${attempt + 1} of ${maxAttempts})...`, delayMs);
+    }
+
+    /**
+     * Calls the model, moving down its fallback chain on rate limits, 5xx errors and timeouts.
+     * Models that failed are skipped for the rest of the turn; a stream that already
+     * produced text is not retried elsewhere
+     * @param {Object} request - Options for ApiService.complete
+     * @returns {Promise<Object>} - The completion result, with the model that answered
+     */
+    async function callModel(request) {
+        const chain = [request.model, ...SettingsController.getFallbackChain(request.model)];
+        const candidates = chain.filter(model => !turnFailedModels.has(model));
+        if (!candidates.length) candidates.push(request.model);
+        let lastError;
+        for (let i = 0; i < candidates.length; i++) {
+            const model = candidates[i];
+            let streamed = false;
+            const onChunk = request.onChunk && ((chunk, fullText) => {
+                streamed = true;
+                request.onChunk(chunk, fullText);
+            });
+            try {
+                // With somewhere to fall back to, a failing model gets fewer retries
+                const hasNext = i < candidates.length - 1;
+                const result = await requestModel({ ...request, model, onChunk, ...(hasNext ? { maxAttempts: FALLBACK_MAX_ATTEMPTS } : {}) });
+                return { ...result, model };
+            } catch (err) {
+                if (streamed || !Utils.isRetryableError(err)) throw err;
+                lastError = err;
+                turnFailedModels.add(model);
+                const next = candidates[i + 1];
+                if (next) {
+                    console.warn(`Model ${model} failed, falling back to ${next}:`, err);
+                    UIController.showStatus(`${model} failed (${err.message.slice(0, 80)}). Trying ${next}...`);
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Calls one model through ApiService with the turn's abort signal and records its usage.
+     * With budgetAction 'block', follow-up requests within a turn stop once a budget would be exceeded
+     * @param {Object} request - Options for ApiService.complete
+     * @returns {Promise<Object>} - The completion result
+     */
+    async function requestModel(request) {
+        if (SettingsController.getSettings().budgetAction === 'block') {
+            const budgetIssue = checkBudget(request.model, request.messages);
+            if (budgetIssue) throw new Error(`${budgetIssue} Stopped before sending.`);
+        }
+        const params = { ...SettingsController.getModelParams(request.model), ...(conversationParams || {}) };
+        const result = await ApiService.complete({ signal: currentSignal(), params, onRetry: showRetryCountdown, ...request });
+        recordUsage(result.usage, request.model);
+        return result;
+    }
+
     /**
      * Gets the current settings
      * @returns {Object} - The current settings
@@ -349,10 +828,10 @@ Answer: [your final, concise answer based on the reasoning above]`;
         return typeof message === 'string' && message.trim().length > 0;
     }
 
-    // Helper: Set UI input state (enabled/disabled)
+    // Helper: Set UI input state (enabled/disabled); the send button turns into Stop while disabled
     function setInputState(enabled) {
         document.getElementById('message-input').disabled = !enabled;
-        document.getElementById('send-button').disabled = !enabled;
+        UIController.setBusy(!enabled);
     }
 
     // Helper: Prepare message for sending (CoT, etc.)
@@ -363,156 +842,256 @@ Answer: [your final, concise answer based on the reasoning above]`;
     // Refactored sendMessage
     async function sendMessage() {
         const message = UIController.getUserInput();
-        if (!isValidUserInput(message)) return;
+        const images = UIController.getAttachments();
+        if (!isValidUserInput(message) && !images.length) return;
+        const schemaInput = UIController.getResponseSchema();
+        if (schemaInput && schemaInput.error) {
+            UIController.showError(`JSON Schema: ${schemaInput.error}`);
+            return;
+        }
+        const responseSchema = schemaInput ? toResponseSchema(schemaInput.schema) : null;
+
+        // Images stay in history so follow-up questions can refer to them.
+        // Structured replies skip the CoT format, which would break the JSON
+        const userEntry = { role: 'user', content: responseSchema ? message : prepareMessage(message) };
+        if (images.length) userEntry.images = images;
+        const currentSettings = SettingsController.getSettings();
+        const selectedModel = currentSettings.selectedModel;
+        const budgetIssue = checkBudget(selectedModel, [...chatHistory, userEntry]);
+        if (budgetIssue && currentSettings.budgetAction === 'block') {
+            // Keep the message in the input so it can be sent after raising the budget
+            UIController.showError(`${budgetIssue} Raise the budget in Settings or clear the chat.`);
+            return;
+        }
+
         originalUserQuestion = message;
         toolWorkflowActive = true;
 
         UIController.showStatus('Sending message...');
-        setInputState(false);
 
         lastThinkingContent = '';
         lastAnswerContent = '';
 
-        UIController.addMessage('user', message);
+        UIController.addMessage('user', message, images);
         UIController.clearUserInput();
+        UIController.clearAttachments();
+        if (budgetIssue) {
+            UIController.addMessage('ai', `Warning: ${budgetIssue}`);
+        }
+        if (images.length && !ApiService.supportsImages(selectedModel)) {
+            UIController.addMessage('ai', `Warning: ${selectedModel} cannot view images, so only the text is sent. The images stay in the conversation for models that can.`);
+        }
 
-        const enhancedMessage = prepareMessage(message);
-        const currentSettings = SettingsController.getSettings();
-        const selectedModel = currentSettings.selectedModel;
+        await runTurn(async () => {
+            turnSchema = responseSchema;
+            schemaRetries = 0;
+            chatHistory.push(userEntry);
+            await handleModelMessage(selectedModel);
+        }, message || `${images.length} image(s)`);
+    }
+
+    /**
+     * Wraps a user-supplied JSON Schema for ApiService
+     * @param {Object} schema - The JSON Schema
+     * @returns {{name:string, schema:Object}}
+     */
+    function toResponseSchema(schema) {
+        // OpenAI requires the name to match ^[a-zA-Z0-9_-]{1,64}$
+        const name = String(schema.title || 'response').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+        return { name, schema };
+    }
 
+    /**
+     * Runs one stoppable turn: the Send button becomes Stop until the work settles
+     * @param {Function} work - Async work for the turn
+     * @param {string} label - Names the turn in the network inspector
+     */
+    async function runTurn(work, label) {
+        NetworkLog.startTurn(label);
+        turnController = new AbortController();
+        turnUsage = emptyUsage();
+        turnCost = 0;
+        turnFailedModels = new Set();
+        // The mock model also answers tool calls from its script, so demos stay offline
+        const selectedModel = SettingsController.getSettings().selectedModel;
+        ToolsService.setFixtures(MockProvider.isMockModel(selectedModel) ? MockProvider.getToolFixtures() : null);
+        refreshSystemPrompt();
+        setInputState(false);
         try {
-            if (selectedModel.startsWith('gpt')) {
-                chatHistory.push({ role: 'user', content: enhancedMessage });
-                console.log("Sent enhanced message to GPT:", enhancedMessage);
-                await handleOpenAIMessage(selectedModel, enhancedMessage);
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                if (chatHistory.length === 0) {
-                    chatHistory.push({ role: 'user', content: '' });
+            await work();
+        } catch (error) {
+            if (Utils.isAbortError(error)) {
+                closeOpenToolCalls();
+                if (!error.interruptionShown) {
+                    UIController.addMessage('ai', 'Generation stopped.');
                 }
-                await handleGeminiMessage(selectedModel, enhancedMessage);
+            } else {
+                console.error('Error sending message:', error);
+                UIController.addMessage('ai', 'Error: ' + error.message);
             }
-        } catch (error) {
-            console.error('Error sending message:', error);
-            UIController.addMessage('ai', 'Error: ' + error.message);
         } finally {
-            Utils.updateTokenDisplay(totalTokens);
+            turnController = null;
+            turnSchema = null;
+            refreshUsageDisplay();
+            UIController.hideSpinner();
             UIController.clearStatus();
             setInputState(true);
         }
     }
 
-    // Helper: Handle streaming OpenAI response
-    async function handleOpenAIStreaming(model, aiMsgElement) {
-        let streamedResponse = '';
-        try {
-            if (settings.enableCoT) {
-                isThinking = true;
-                UIController.updateMessageContent(aiMsgElement, '🤔 Thinking...');
-            }
-            const fullReply = await ApiService.streamOpenAIRequest(
-                model,
-                chatHistory,
-                (chunk, fullText) => {
-                    streamedResponse = fullText;
-                    if (settings.enableCoT) {
-                        const processed = processPartialCoTResponse(fullText);
-                        if (isThinking && fullText.includes('Answer:')) {
-                            isThinking = false;
-                        }
-                        const displayText = formatResponseForDisplay(processed);
-                        UIController.updateMessageContent(aiMsgElement, displayText);
-                    } else {
-                        UIController.updateMessageContent(aiMsgElement, fullText);
-                    }
-                }
-            );
-            const toolCall = extractToolCall(fullReply);
-            if (toolCall && toolCall.tool && toolCall.arguments) {
-                await processToolCall(toolCall);
-                return;
-            }
-            if (settings.enableCoT) {
-                const processed = processCoTResponse(fullReply);
-                if (processed.thinking) {
-                    console.log('AI Thinking:', processed.thinking);
-                }
-                const displayText = formatResponseForDisplay(processed);
-                UIController.updateMessageContent(aiMsgElement, displayText);
-                chatHistory.push({ role: 'assistant', content: fullReply });
-            } else {
-                chatHistory.push({ role: 'assistant', content: fullReply });
+    /**
+     * Runs a tool call requested from the UI (e.g. Read More); outside a turn it starts a stoppable one
+     * @param {Object} call - {tool, arguments}
+     */
+    function processToolCallFromUI(call) {
+        return turnController ? processToolCall(call) : runTurn(() => processToolCall(call), `${call.tool} (from the UI)`);
+    }
+
+    /**
+     * Stops the running turn
+     */
+    function stopGeneration() {
+        if (!turnController) return;
+        UIController.showStatus('Stopping...');
+        turnController.abort();
+    }
+
+    /**
+     * After a stop, answers native tool calls left without a result (the
+     * providers reject histories with unanswered calls) and flushes held-back results
+     */
+    function closeOpenToolCalls() {
+        for (let i = chatHistory.length - 1; i >= 0; i--) {
+            const entry = chatHistory[i];
+            if (entry.role === 'assistant' && entry.toolCalls && entry.toolCalls.length) {
+                let end = i + 1;
+                while (end < chatHistory.length && chatHistory[end].role === 'tool') end++;
+                const answered = new Set(chatHistory.slice(i + 1, end).map(m => m.toolCallId));
+                const missing = entry.toolCalls
+                    .filter(call => !answered.has(call.id))
+                    .map(call => ({ role: 'tool', toolCallId: call.id, name: call.name, content: 'Cancelled by the user.' }));
+                chatHistory.splice(end, 0, ...missing);
+                break;
             }
-            const tokenCount = await ApiService.getTokenUsage(model, chatHistory);
-            if (tokenCount) {
-                totalTokens += tokenCount;
+        }
+        chatHistory.push(...deferredToolContext);
+        deferredToolContext = [];
+        nativeToolDepth = 0;
+    }
+
+    // Helper: Handle a finished reply (native tool calls, text tool call or answer)
+    async function handleModelReply(result, aiMsgElement) {
+        const reply = result.text || '';
+        if (result.toolCalls && result.toolCalls.length) {
+            await processNativeToolCalls(result.toolCalls, reply, aiMsgElement);
+            return false;
+        }
+        const toolCall = extractToolCall(reply);
+        if (toolCall && toolCall.tool && toolCall.arguments) {
+            await processToolCall(toolCall);
+            return false;
+        }
+        if (turnSchema) {
+            return handleStructuredReply(result, aiMsgElement);
+        }
+        let displayText = reply;
+        if (settings.enableCoT) {
+            const processed = processCoTResponse(reply);
+            if (processed.thinking) {
+                console.log('AI Thinking:', processed.thinking);
             }
-        } catch (err) {
-            UIController.updateMessageContent(aiMsgElement, 'Error: ' + err.message);
-            throw err;
-        } finally {
-            isThinking = false;
+            displayText = formatResponseForDisplay(processed);
+        }
+        chatHistory.push({ role: 'assistant', content: reply });
+        const messageElement = aiMsgElement || UIController.addMessage('ai', displayText);
+        if (aiMsgElement) {
+            UIController.updateMessageContent(aiMsgElement, displayText);
         }
+        tagFallbackModel(result, messageElement);
+        return true;
     }
 
-    // Helper: Handle non-streaming OpenAI response
-    async function handleOpenAINonStreaming(model) {
-        UIController.showStatus('Waiting for AI response...');
+    // Helper: Note on the message when a fallback model produced it
+    function tagFallbackModel(result, messageElement) {
+        const selectedModel = SettingsController.getSettings().selectedModel;
+        if (result.model && result.model !== selectedModel) {
+            UIController.addModelTag(messageElement, `Answered by ${result.model} (fallback for ${selectedModel})`);
+        }
+    }
+
+    /**
+     * Parses a structured reply and validates it against the schema
+     * @param {string} text - The reply text
+     * @param {Object} schema - The JSON Schema
+     * @returns {{value:*, errors:Array<string>}}
+     */
+    function parseStructuredReply(text, schema) {
+        // Models without native JSON mode sometimes wrap the JSON in a code fence
+        const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        let value;
         try {
-            const result = await ApiService.sendOpenAIRequest(model, chatHistory);
-            if (result.error) {
-                throw new Error(result.error.message);
-            }
-            if (result.usage && result.usage.total_tokens) {
-                totalTokens += result.usage.total_tokens;
-            }
-            const reply = result.choices[0].message.content;
-            console.log("GPT non-streaming reply:", reply);
-            const toolCall = extractToolCall(reply);
-            if (toolCall && toolCall.tool && toolCall.arguments) {
-                await processToolCall(toolCall);
-                return;
-            }
-            if (settings.enableCoT) {
-                const processed = processCoTResponse(reply);
-                if (processed.thinking) {
-                    console.log('AI Thinking:', processed.thinking);
-                }
-                chatHistory.push({ role: 'assistant', content: reply });
-                const displayText = formatResponseForDisplay(processed);
-                UIController.addMessage('ai', displayText);
-            } else {
-                chatHistory.push({ role: 'assistant', content: reply });
-                UIController.addMessage('ai', reply);
-            }
+            value = JSON.parse(cleaned);
         } catch (err) {
-            throw err;
+            return { value: undefined, errors: [`Reply is not valid JSON: ${err.message}`] };
         }
+        return { value, errors: SchemaValidator.validate(value, schema) };
     }
 
-    // Refactored handleOpenAIMessage
-    async function handleOpenAIMessage(model, message) {
-        if (settings.streaming) {
-            UIController.showStatus('Streaming response...');
-            const aiMsgElement = UIController.createEmptyAIMessage();
-            await handleOpenAIStreaming(model, aiMsgElement);
+    /**
+     * Shows a structured reply as a JSON tree, or asks the model again with the
+     * validation errors while retries remain
+     * @param {Object} result - The completion result
+     * @param {Element} [aiMsgElement] - The streaming message element, if any
+     * @returns {Promise<boolean>} - Whether the reply was final
+     */
+    async function handleStructuredReply(result, aiMsgElement) {
+        const reply = result.text || '';
+        const { value, errors } = parseStructuredReply(reply, turnSchema.schema);
+        chatHistory.push({ role: 'assistant', content: reply });
+
+        if (errors.length && schemaRetries < MAX_SCHEMA_RETRIES) {
+            schemaRetries++;
+            const note = `Reply did not match the schema (${errors.length} error${errors.length === 1 ? '' : 's'}). Retrying ${schemaRetries}/${MAX_SCHEMA_RETRIES}...`;
+            if (aiMsgElement) {
+                UIController.updateMessageContent(aiMsgElement, note);
+            } else {
+                UIController.addMessage('ai', note);
+            }
+            chatHistory.push({
+                role: 'user',
+                content: `Your reply did not match the required JSON Schema:\n- ${errors.join('\n- ')}\nReply again with only the corrected JSON.`
+            });
+            await handleModelMessage(result.model || SettingsController.getSettings().selectedModel);
+            return false;
+        }
+
+        const messageElement = aiMsgElement || UIController.addMessage('ai', '');
+        if (errors.length) {
+            UIController.updateMessageContent(messageElement, `${reply}\n\nSchema validation failed:\n- ${errors.join('\n- ')}`);
         } else {
-            await handleOpenAINonStreaming(model);
+            UIController.updateMessageContent(messageElement, '');
+            UIController.addJsonResult(messageElement, value, turnSchema.name);
         }
+        tagFallbackModel(result, messageElement);
+        return true;
     }
 
-    // Helper: Handle streaming Gemini response
-    async function handleGeminiStreaming(model, message, aiMsgElement) {
-        let streamedResponse = '';
+    // Helper: Handle streaming response
+    async function handleStreamingResponse(model, aiMsgElement) {
+        let streamedText = '';
         try {
             if (settings.enableCoT) {
                 isThinking = true;
                 UIController.updateMessageContent(aiMsgElement, '🤔 Thinking...');
             }
-            const fullReply = await ApiService.streamGeminiRequest(
+            const result = await callModel({
                 model,
-                chatHistory,
-                (chunk, fullText) => {
-                    streamedResponse = fullText;
+                messages: chatHistory,
+                stream: true,
+                tools: getToolSchemas(),
+                responseSchema: turnSchema,
+                onChunk: (chunk, fullText) => {
+                    streamedText = fullText;
                     if (settings.enableCoT) {
                         const processed = processPartialCoTResponse(fullText);
                         if (isThinking && fullText.includes('Answer:')) {
@@ -524,87 +1103,90 @@ Answer: [your final, concise answer based on the reasoning above]`;
                         UIController.updateMessageContent(aiMsgElement, fullText);
                     }
                 }
-            );
-            const toolCall = extractToolCall(fullReply);
-            if (toolCall && toolCall.tool && toolCall.arguments) {
-                await processToolCall(toolCall);
-                return;
-            }
-            if (settings.enableCoT) {
-                const processed = processCoTResponse(fullReply);
-                if (processed.thinking) {
-                    console.log('AI Thinking:', processed.thinking);
-                }
-                const displayText = formatResponseForDisplay(processed);
-                UIController.updateMessageContent(aiMsgElement, displayText);
-                chatHistory.push({ role: 'assistant', content: fullReply });
+            });
+            await handleModelReply(result, aiMsgElement);
+        } catch (err) {
+            if (Utils.isAbortError(err) && streamedText) {
+                // The provider never sent usage for the cut-off stream, so estimate it
+                recordUsage(ApiService.estimateUsage(chatHistory, { text: streamedText, toolCalls: [] }), model);
+                // Keep what was streamed so far, marked as interrupted
+                chatHistory.push({ role: 'assistant', content: `${streamedText}\n[interrupted]` });
+                UIController.markInterrupted(aiMsgElement);
+                err.interruptionShown = true;
             } else {
-                chatHistory.push({ role: 'assistant', content: fullReply });
+                UIController.updateMessageContent(aiMsgElement, Utils.isAbortError(err) ? 'Stopped.' : 'Error: ' + err.message);
+                if (Utils.isAbortError(err)) err.interruptionShown = true;
             }
-            const tokenCount = await ApiService.getTokenUsage(model, chatHistory);
-            if (tokenCount) {
-                totalTokens += tokenCount;
-            }
-        } catch (err) {
-            UIController.updateMessageContent(aiMsgElement, 'Error: ' + err.message);
             throw err;
         } finally {
             isThinking = false;
         }
     }
 
-    // Helper: Handle non-streaming Gemini response
-    async function handleGeminiNonStreaming(model, message) {
-        try {
-            const session = ApiService.createGeminiSession(model);
-            const result = await session.sendMessage(message, chatHistory);
-            if (result.usageMetadata && typeof result.usageMetadata.totalTokenCount === 'number') {
-                totalTokens += result.usageMetadata.totalTokenCount;
-            }
-            const candidate = result.candidates[0];
-            let textResponse = '';
-            if (candidate.content.parts) {
-                textResponse = candidate.content.parts.map(p => p.text).join(' ');
-            } else if (candidate.content.text) {
-                textResponse = candidate.content.text;
-            }
-            const toolCall = extractToolCall(textResponse);
-            if (toolCall && toolCall.tool && toolCall.arguments) {
-                await processToolCall(toolCall);
-                return;
-            }
-            if (settings.enableCoT) {
-                const processed = processCoTResponse(textResponse);
-                if (processed.thinking) {
-                    console.log('AI Thinking:', processed.thinking);
-                }
-                chatHistory.push({ role: 'assistant', content: textResponse });
-                const displayText = formatResponseForDisplay(processed);
-                UIController.addMessage('ai', displayText);
-            } else {
-                chatHistory.push({ role: 'assistant', content: textResponse });
-                UIController.addMessage('ai', textResponse);
-            }
-        } catch (err) {
-            throw err;
-        }
+    // Helper: Handle non-streaming response
+    async function handleNonStreamingResponse(model) {
+        UIController.showStatus('Waiting for AI response...');
+        const result = await callModel({ model, messages: chatHistory, tools: getToolSchemas(), responseSchema: turnSchema });
+        console.log('Non-streaming reply:', result.text);
+        await handleModelReply(result, null);
     }
 
-    // Refactored handleGeminiMessage
-    async function handleGeminiMessage(model, message) {
-        chatHistory.push({ role: 'user', content: message });
+    // Send the current chat history to the model, streaming if enabled
+    async function handleModelMessage(model) {
         if (settings.streaming) {
+            UIController.showStatus('Streaming response...');
             const aiMsgElement = UIController.createEmptyAIMessage();
-            await handleGeminiStreaming(model, message, aiMsgElement);
+            await handleStreamingResponse(model, aiMsgElement);
         } else {
-            await handleGeminiNonStreaming(model, message);
+            await handleNonStreamingResponse(model);
+        }
+    }
+
+    /**
+     * Sends a one-off prompt outside the main conversation (suggestions, summaries, etc.)
+     * @param {string} systemPrompt - The system instruction
+     * @param {string} prompt - The user prompt
+     * @param {number} [timeout] - Optional timeout in ms
+     * @returns {Promise<string>} - The trimmed reply text
+     */
+    async function requestCompletion(systemPrompt, prompt, timeout) {
+        const selectedModel = SettingsController.getSettings().selectedModel;
+        const result = await callModel({
+            model: selectedModel,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: prompt }
+            ],
+            timeout
+        });
+        return result.text.trim();
+    }
+
+    /**
+     * Adds a tool result to chatHistory: as a tool message answering a native
+     * call, or as assistant text for the JSON fallback
+     * @param {Object} call - The tool call ({tool, arguments, id?})
+     * @param {string} content - The result text
+     */
+    function recordToolResult(call, content) {
+        if (call.id) {
+            chatHistory.push({ role: 'tool', toolCallId: call.id, name: call.tool, content });
+        } else if (nativeToolDepth > 0) {
+            // Sent as user context so the history does not end on an assistant turn
+            deferredToolContext.push({ role: 'user', content });
+        } else {
+            chatHistory.push({ role: 'assistant', content });
         }
     }
 
     // Enhanced processToolCall using registry and validation
     async function processToolCall(call) {
-        if (!toolWorkflowActive) return;
-        const { tool, arguments: args, skipContinue } = call;
+        const { tool, arguments: args, skipContinue, id } = call;
+        if (!toolWorkflowActive) {
+            // A native call still needs an answer in history
+            if (id) recordToolResult(call, 'Tool workflow has ended for this question.');
+            return;
+        }
         // Tool call loop protection
         const callSignature = JSON.stringify({ tool, args });
         if (lastToolCall === callSignature) {
@@ -615,33 +1197,77 @@ Answer: [your final, concise answer based on the reasoning above]`;
         }
         if (lastToolCallCount > MAX_TOOL_CALL_REPEAT) {
             UIController.addMessage('ai', `Error: Tool call loop detected. The same tool call has been made more than ${MAX_TOOL_CALL_REPEAT} times in a row. Stopping to prevent infinite loop.`);
+            if (id) recordToolResult(call, 'Error: Tool call loop detected. Do not repeat this call.');
             return;
         }
         // Log tool call
         toolCallHistory.push({ tool, args, timestamp: new Date().toISOString() });
-        await toolHandlers[tool](args);
-        // Only continue reasoning if the last AI reply was NOT a tool call
-        if (!skipContinue) {
-            const lastEntry = chatHistory[chatHistory.length - 1];
-            let isToolCall = false;
-            if (lastEntry && typeof lastEntry.content === 'string') {
-                try {
-                    const parsed = JSON.parse(lastEntry.content);
-                    if (parsed.tool && parsed.arguments) {
-                        isToolCall = true;
-                    }
-                } catch {}
-            }
-            if (!isToolCall) {
-                const selectedModel = SettingsController.getSettings().selectedModel;
-                if (selectedModel.startsWith('gpt')) {
-                    await handleOpenAIMessage(selectedModel, '');
-                } else {
-                    await handleGeminiMessage(selectedModel, '');
-                }
+        const registered = ToolsService.getTool(tool);
+        const argumentErrors = registered ? ToolsService.validateArguments(tool, args || {}) : [];
+        let result;
+        if (id) nativeToolDepth++;
+        try {
+            if (!registered) {
+                result = `Error: Unknown tool "${tool}".`;
+            } else if (argumentErrors.length) {
+                // Tell the model what was wrong so it can correct the call
+                result = `Error: Invalid ${tool} arguments: ${argumentErrors.join('; ')}`;
+                UIController.addMessage('ai', result);
             } else {
-                UIController.addMessage('ai', 'Warning: AI outputted another tool call without reasoning. Stopping to prevent infinite loop.');
+                result = await registered.handler(args || {}, { signal: currentSignal() });
             }
+        } finally {
+            if (id) nativeToolDepth--;
+        }
+        if (typeof result === 'string') {
+            recordToolResult(call, result);
+        }
+        if (!skipContinue) {
+            await continueAfterTools();
+        }
+        return result;
+    }
+
+    /**
+     * Runs the tool calls of one native function-calling reply, then lets the model continue
+     * @param {Array} toolCalls - Tool calls from the provider ({id, name, arguments})
+     * @param {string} reply - Any text the model sent along with the calls
+     * @param {Element} [aiMsgElement] - The streaming message element, if any
+     */
+    async function processNativeToolCalls(toolCalls, reply, aiMsgElement) {
+        const workflowWasActive = toolWorkflowActive;
+        chatHistory.push({ role: 'assistant', content: reply, toolCalls });
+        if (aiMsgElement) {
+            UIController.updateMessageContent(aiMsgElement, reply || `Using tools: ${toolCalls.map(c => c.name).join(', ')}`);
+        }
+        for (const call of toolCalls) {
+            await processToolCall({ tool: call.name, arguments: call.arguments, id: call.id, skipContinue: true });
+        }
+        // Results produced while the calls ran go after the tool messages
+        chatHistory.push(...deferredToolContext);
+        deferredToolContext = [];
+        if (workflowWasActive) {
+            await continueAfterTools();
+        }
+    }
+
+    // Continue reasoning after tool results, unless the last AI reply was itself a tool call
+    async function continueAfterTools() {
+        const lastEntry = chatHistory[chatHistory.length - 1];
+        let isToolCall = false;
+        if (lastEntry && lastEntry.role !== 'tool' && typeof lastEntry.content === 'string') {
+            try {
+                const parsed = JSON.parse(lastEntry.content);
+                if (parsed.tool && parsed.arguments) {
+                    isToolCall = true;
+                }
+            } catch {}
+        }
+        if (!isToolCall) {
+            const selectedModel = SettingsController.getSettings().selectedModel;
+            await handleModelMessage(selectedModel);
+        } else {
+            UIController.addMessage('ai', 'Warning: AI outputted another tool call without reasoning. Stopping to prevent infinite loop.');
         }
     }
 
@@ -669,44 +1295,36 @@ Answer: [your final, concise answer based on the reasoning above]`;
         let chunkCount = 0;
         let totalLength = 0;
         while (shouldContinue && chunkCount < maxChunks && totalLength < maxTotalLength) {
-            // Check cache first
-            const cacheKey = `${url}:${start}:${chunkSize}`;
-            let snippet;
-            if (readCache.has(cacheKey)) {
-                snippet = readCache.get(cacheKey);
-            } else {
-                await processToolCall({ tool: 'read_url', arguments: { url, start, length: chunkSize }, skipContinue: true });
-                // Find the last snippet added to chatHistory
-                const lastEntry = chatHistory[chatHistory.length - 1];
-                if (lastEntry && typeof lastEntry.content === 'string' && lastEntry.content.startsWith('Read content from')) {
-                    snippet = lastEntry.content.split('\n').slice(1).join('\n');
-                    readCache.set(cacheKey, snippet);
-                } else {
-                    snippet = '';
-                }
+            // Pages come from the tool cache after the first read
+            const readResult = await processToolCall({ tool: 'read_url', arguments: { url, start, length: chunkSize }, skipContinue: true });
+            let snippet = '';
+            let next = null;
+            if (typeof readResult === 'string' && readResult.startsWith('Read content from')) {
+                // Chunks end at paragraph breaks, so the next one starts where the marker says
+                const more = /\n\[More from start=(\d+)\]$/.exec(readResult);
+                next = more ? Number(more[1]) : null;
+                snippet = readResult.split('\n').slice(1).join('\n').replace(/\n\[More from start=\d+\]$/, '');
+                // The first chunk opens with the page metadata and outline; only the text is scored
+                const page = pageCache.get(url);
+                const details = start === 0 && page ? `${describePage(page)}\n\n` : '';
+                if (details && snippet.startsWith(details)) snippet = snippet.slice(details.length);
             }
             if (!snippet) break;
             allChunks.push(snippet);
             totalLength += snippet.length;
             // Ask AI if more is needed
-            const selectedModel = SettingsController.getSettings().selectedModel;
             let aiReply = '';
             try {
                 const prompt = `Given the following snippet from ${url}, do you need more content to answer the user's question? Please reply with \"YES\" or \"NO\" and a brief reason. If YES, estimate how many more characters you need.\n\nSnippet:\n${snippet}`;
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that decides if more content is needed from a web page.' },
-                        { role: 'user', content: prompt }
-                    ]);
-                    aiReply = res.choices[0].message.content.trim().toLowerCase();
-                }
+                aiReply = (await requestCompletion('You are an assistant that decides if more content is needed from a web page.', prompt)).toLowerCase();
             } catch (err) {
+                if (Utils.isAbortError(err)) throw err;
                 // On error, stop deep reading
                 shouldContinue = false;
                 break;
             }
-            if (aiReply.startsWith('yes') && totalLength < maxTotalLength) {
-                start += chunkSize;
+            if (aiReply.startsWith('yes') && next !== null && totalLength < maxTotalLength) {
+                start = next;
                 chunkCount++;
                 shouldContinue = true;
             } else {
@@ -748,29 +1366,9 @@ Answer: [your final, concise answer based on the reasoning above]`;
     async function suggestResultsToRead(results, query) {
         if (!results || results.length === 0) return;
         const prompt = `Given these search results for the query: "${query}", which results (by number) are most relevant to read in detail?\n\n${results.map((r, i) => `${i+1}. ${r.title} - ${r.snippet}`).join('\n')}\n\nReply with a comma-separated list of result numbers.`;
-        const selectedModel = SettingsController.getSettings().selectedModel;
         let aiReply = '';
         try {
-            if (selectedModel.startsWith('gpt')) {
-                const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                    { role: 'system', content: 'You are an assistant helping to select the most relevant search results.' },
-                    { role: 'user', content: prompt }
-                ]);
-                aiReply = res.choices[0].message.content.trim();
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                const session = ApiService.createGeminiSession(selectedModel);
-                const chatHistory = [
-                    { role: 'system', content: 'You are an assistant helping to select the most relevant search results.' },
-                    { role: 'user', content: prompt }
-                ];
-                const result = await session.sendMessage(prompt, chatHistory);
-                const candidate = result.candidates[0];
-                if (candidate.content.parts) {
-                    aiReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                } else if (candidate.content.text) {
-                    aiReply = candidate.content.text.trim();
-                }
-            }
+            aiReply = await requestCompletion('You are an assistant helping to select the most relevant search results.', prompt);
             // Optionally, parse and highlight suggested results
             if (aiReply) {
                 UIController.addMessage('ai', `AI suggests reading results: ${aiReply}`);
@@ -778,6 +1376,7 @@ Answer: [your final, concise answer based on the reasoning above]`;
                 await autoReadAndSummarizeFromSuggestion(aiReply);
             }
         } catch (err) {
+            if (Utils.isAbortError(err)) throw err;
             // Ignore suggestion errors
         }
     }
@@ -806,7 +1405,6 @@ Answer: [your final, concise answer based on the reasoning above]`;
     async function summarizeSnippets(snippets = null, round = 1) {
         if (!snippets) snippets = readSnippets;
         if (!snippets.length) return;
-        const selectedModel = SettingsController.getSettings().selectedModel;
         const MAX_PROMPT_LENGTH = 5857; // chars, safe for most models
         const SUMMARIZATION_TIMEOUT = 88000; // 88 seconds
         // If only one snippet, just summarize it directly
@@ -816,30 +1414,12 @@ Answer: [your final, concise answer based on the reasoning above]`;
             UIController.showSpinner(`Round ${round}: Summarizing information...`);
             UIController.showStatus(`Round ${round}: Summarizing information...`);
             try {
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: prompt }
-                    ], SUMMARIZATION_TIMEOUT);
-                    aiReply = res.choices[0].message.content.trim();
-                } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                    const session = ApiService.createGeminiSession(selectedModel);
-                    const chatHistory = [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: prompt }
-                    ];
-                    const result = await session.sendMessage(prompt, chatHistory);
-                    const candidate = result.candidates[0];
-                    if (candidate.content.parts) {
-                        aiReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                    } else if (candidate.content.text) {
-                        aiReply = candidate.content.text.trim();
-                    }
-                }
+                aiReply = await requestCompletion('You are an assistant that synthesizes information from multiple sources.', prompt, SUMMARIZATION_TIMEOUT);
                 if (aiReply) {
                     UIController.addMessage('ai', `Summary:\n${aiReply}`);
                 }
             } catch (err) {
+                if (Utils.isAbortError(err)) throw err;
                 UIController.addMessage('ai', `Summarization failed. Error: ${err && err.message ? err.message : err}`);
             }
             UIController.hideSpinner();
@@ -859,27 +1439,7 @@ Answer: [your final, concise answer based on the reasoning above]`;
                 UIController.showSpinner(`Round ${round}: Summarizing batch ${i + 1} of ${totalBatches}...`);
                 UIController.showStatus(`Round ${round}: Summarizing batch ${i + 1} of ${totalBatches}...`);
                 const batchPrompt = `Summarize the following information extracted from web pages (be as concise as possible):\n\n${batch.join('\n---\n')}`;
-                let batchReply = '';
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: batchPrompt }
-                    ], SUMMARIZATION_TIMEOUT);
-                    batchReply = res.choices[0].message.content.trim();
-                } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                    const session = ApiService.createGeminiSession(selectedModel);
-                    const chatHistory = [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: batchPrompt }
-                    ];
-                    const result = await session.sendMessage(batchPrompt, chatHistory);
-                    const candidate = result.candidates[0];
-                    if (candidate.content.parts) {
-                        batchReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                    } else if (candidate.content.text) {
-                        batchReply = candidate.content.text.trim();
-                    }
-                }
+                const batchReply = await requestCompletion('You are an assistant that synthesizes information from multiple sources.', batchPrompt, SUMMARIZATION_TIMEOUT);
                 batchSummaries.push(batchReply);
             }
             // If the combined summaries are still too long, recursively summarize
@@ -896,6 +1456,7 @@ Answer: [your final, concise answer based on the reasoning above]`;
                 await synthesizeFinalAnswer(combined);
             }
         } catch (err) {
+            if (Utils.isAbortError(err)) throw err;
             UIController.addMessage('ai', `Summarization failed. Error: ${err && err.message ? err.message : err}`);
         }
         UIController.hideSpinner();
@@ -906,36 +1467,16 @@ Answer: [your final, concise answer based on the reasoning above]`;
     // Add synthesizeFinalAnswer helper
     async function synthesizeFinalAnswer(summaries) {
         if (!summaries || !originalUserQuestion) return;
-        const selectedModel = SettingsController.getSettings().selectedModel;
         const prompt = `Based on the following summaries, provide a final, concise answer to the original question.\n\nSummaries:\n${summaries}\n\nOriginal question: ${originalUserQuestion}`;
         try {
-            let finalAnswer = '';
-            if (selectedModel.startsWith('gpt')) {
-                const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                    { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources and provides a final answer.' },
-                    { role: 'user', content: prompt }
-                ]);
-                finalAnswer = res.choices[0].message.content.trim();
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                const session = ApiService.createGeminiSession(selectedModel);
-                const chatHistory = [
-                    { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources and provides a final answer.' },
-                    { role: 'user', content: prompt }
-                ];
-                const result = await session.sendMessage(prompt, chatHistory);
-                const candidate = result.candidates[0];
-                if (candidate.content.parts) {
-                    finalAnswer = candidate.content.parts.map(p => p.text).join(' ').trim();
-                } else if (candidate.content.text) {
-                    finalAnswer = candidate.content.text.trim();
-                }
-            }
+            const finalAnswer = await requestCompletion('You are an assistant that synthesizes information from multiple sources and provides a final answer.', prompt);
             if (finalAnswer) {
                 UIController.addMessage('ai', `Final Answer:\n${finalAnswer}`);
             }
             // Stop tool workflow after final answer
             toolWorkflowActive = false;
         } catch (err) {
+            if (Utils.isAbortError(err)) throw err;
             UIController.addMessage('ai', `Final answer synthesis failed. Error: ${err && err.message ? err.message : err}`);
             toolWorkflowActive = false;
         }
@@ -950,7 +1491,10 @@ Answer: [your final, concise answer based on the reasoning above]`;
         getChatHistory,
         getTotalTokens,
         clearChat,
-        processToolCall,
+        processToolCall: processToolCallFromUI,
+        stopGeneration,
+        setConversationParams,
+        getConversationParams,
         getToolCallHistory: () => [...toolCallHistory],
     };
 })(); 
\ No newline at end of file
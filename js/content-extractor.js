@@ -0,0 +1,441 @@
+/**
+ * ./js/content-extractor.js
+ * Content Extractor Module - Finds the main article in an HTML page
+ * Scores blocks Readability-style, keeps document order and converts the article
+ * to Markdown (headings, lists, tables, code, quotes, links), with page metadata
+ */
+const ContentExtractor = (function() {
+    'use strict';
+
+    // Elements that never hold article text
+    const REMOVED_TAGS = 'script, style, noscript, template, iframe, svg, canvas, button, input, select, textarea, nav, footer, aside, dialog';
+    const REMOVED_ROLES = '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], [aria-hidden="true"], [hidden]';
+    const UNLIKELY = /comment|sidebar|footer|masthead|menu|nav|share|social|promo|related|recommend|advert|sponsor|\bads?\b|cookie|consent|banner|subscribe|newsletter|popup|modal|breadcrumb|pagination|skip/i;
+    const LIKELY = /article|content|main|body|post|entry|story|text|blog/i;
+    const POSITIVE = /article|body|content|entry|main|page|post|text|blog|story/i;
+    const NEGATIVE = /comment|meta|footer|footnote|sidebar|sponsor|shopping|tags|widget|share|related|promo|hidden/i;
+    const SCORED_TAGS = 'p, pre, td, blockquote, li, h2, h3';
+    const BLOCK_TAGS = new Set(['ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+        'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL', 'HEADER', 'DETAILS', 'SUMMARY']);
+    const MIN_ARTICLE_LENGTH = 250;
+
+    // Helper: Collapsed text of a node
+    function textOf(node) {
+        return (node.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Helper: Share of a node's text that sits inside links
+    function linkDensity(node) {
+        const length = textOf(node).length;
+        if (!length) return 0;
+        let linkLength = 0;
+        node.querySelectorAll('a').forEach(a => { linkLength += textOf(a).length; });
+        return linkLength / length;
+    }
+
+    // Helper: Class/id bonus or penalty
+    function classWeight(node) {
+        const names = `${node.className || ''} ${node.id || ''}`;
+        let weight = 0;
+        if (NEGATIVE.test(names)) weight -= 25;
+        if (POSITIVE.test(names)) weight += 25;
+        return weight;
+    }
+
+    /**
+     * Counts words; CJK characters count one each since they are not space-separated
+     * @param {string} text
+     * @returns {number}
+     */
+    function countWords(text) {
+        return (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]|[^\s\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g) || [])
+            .filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+    }
+
+    // Helper: Content of the first matching <meta>
+    function metaContent(doc, selectors) {
+        for (const selector of selectors) {
+            const content = doc.querySelector(selector)?.getAttribute('content');
+            if (content && content.trim()) return content.trim();
+        }
+        return null;
+    }
+
+    // Helper: Article objects from JSON-LD blocks (including @graph lists)
+    function jsonLdArticles(doc) {
+        const found = [];
+        doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                const data = JSON.parse(script.textContent);
+                const items = [].concat(data, data['@graph'] || []);
+                items.forEach(item => {
+                    if (item && /Article|Posting|Report|WebPage/.test([].concat(item['@type']).join(' '))) found.push(item);
+                });
+            } catch { /* ignore malformed JSON-LD */ }
+        });
+        return found;
+    }
+
+    // Helper: Absolute URL, or null for script/fragment links
+    function absoluteUrl(href, baseUrl) {
+        if (!href || href.startsWith('#') || /^\s*javascript:/i.test(href)) return null;
+        try {
+            return new URL(href, baseUrl).toString();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Reads title, byline, published date and canonical URL from the page head
+     * @param {Document} doc
+     * @param {string} url - The page URL
+     * @returns {{title:(string|null), byline:(string|null), publishedAt:(string|null), canonicalUrl:string}}
+     */
+    function extractMetadata(doc, url) {
+        const ld = jsonLdArticles(doc)[0] || {};
+        const ldAuthor = [].concat(ld.author || []).map(a => (typeof a === 'string' ? a : a.name)).filter(Boolean).join(', ');
+        const title = metaContent(doc, ['meta[property="og:title"]', 'meta[name="twitter:title"]'])
+            || ld.headline
+            || textOf(doc.querySelector('title') || doc.createElement('title'))
+            || textOf(doc.querySelector('h1') || doc.createElement('h1'))
+            || null;
+        const bylineElement = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+        const byline = metaContent(doc, ['meta[name="author"]', 'meta[property="article:author"]'])
+            || ldAuthor
+            || (bylineElement ? textOf(bylineElement) : '')
+            || null;
+        const timeElement = doc.querySelector('article time[datetime], time[datetime]');
+        const publishedAt = metaContent(doc, [
+            'meta[property="article:published_time"]', 'meta[name="date"]', 'meta[name="pubdate"]',
+            'meta[name="publishdate"]', 'meta[itemprop="datePublished"]'
+        ]) || ld.datePublished || (timeElement ? timeElement.getAttribute('datetime') : null);
+        const canonical = doc.querySelector('link[rel="canonical"]')?.getAttribute('href')
+            || metaContent(doc, ['meta[property="og:url"]']);
+        return {
+            title,
+            byline: byline && byline.length <= 100 ? byline.replace(/^by\s+/i, '') : null,
+            publishedAt: publishedAt || null,
+            canonicalUrl: absoluteUrl(canonical, url) || url
+        };
+    }
+
+    /**
+     * Removes page chrome: scripts, navigation, footers and unlikely blocks
+     * @param {Element} root
+     */
+    function removeClutter(root) {
+        root.querySelectorAll(`${REMOVED_TAGS}, ${REMOVED_ROLES}`).forEach(el => el.remove());
+        root.querySelectorAll('div, section, header, ul, span, table').forEach(el => {
+            const names = `${el.className || ''} ${el.id || ''}`;
+            if (UNLIKELY.test(names) && !LIKELY.test(names) && el.isConnected) el.remove();
+        });
+    }
+
+    /**
+     * Picks the element that holds the article
+     * @param {Element} body
+     * @returns {Element}
+     */
+    function findArticleRoot(body) {
+        const marked = body.querySelector('[itemprop="articleBody"]') || (body.querySelectorAll('article').length === 1 && body.querySelector('article'));
+        if (marked && textOf(marked).length >= MIN_ARTICLE_LENGTH) return marked;
+
+        const scores = new Map();
+        const addScore = (node, value) => {
+            if (!node || node === body.parentNode) return;
+            if (!scores.has(node)) scores.set(node, classWeight(node));
+            scores.set(node, scores.get(node) + value);
+        };
+        body.querySelectorAll(SCORED_TAGS).forEach(block => {
+            const text = textOf(block);
+            if (text.length < 25) return;
+            // One point, plus one per comma and per 100 characters (up to 3)
+            const score = text.split(/[,，、]/).length + Math.min(3, Math.floor(text.length / 100));
+            addScore(block.parentElement, score);
+            addScore(block.parentElement?.parentElement, score / 2);
+        });
+
+        let best = null;
+        let bestScore = 0;
+        scores.forEach((score, node) => {
+            const adjusted = score * (1 - linkDensity(node));
+            if (adjusted > bestScore) {
+                best = node;
+                bestScore = adjusted;
+            }
+        });
+        if (!best) return body.querySelector('main') || body;
+
+        // Siblings that score well (or are solid paragraphs) belong to the article too
+        const parent = best.parentElement;
+        if (!parent) return best;
+        const threshold = Math.max(10, bestScore * 0.2);
+        const keep = [...parent.children].filter(sibling => {
+            if (sibling === best) return true;
+            if ((scores.get(sibling) || 0) * (1 - linkDensity(sibling)) >= threshold) return true;
+            const text = textOf(sibling);
+            return sibling.tagName === 'P' && text.length > 80 && linkDensity(sibling) < 0.25;
+        });
+        if (keep.length === 1) return best;
+        const wrapper = body.ownerDocument.createElement('div');
+        keep.forEach(node => wrapper.appendChild(node.cloneNode(true)));
+        return wrapper;
+    }
+
+    // Helper: Escapes Markdown table cell separators
+    function cell(text) {
+        return text.replace(/\|/g, '\\|');
+    }
+
+    /**
+     * Converts a table to a Markdown table (first row is the header)
+     * @param {Element} table
+     * @param {string} baseUrl
+     * @returns {string}
+     */
+    function tableToMarkdown(table, baseUrl) {
+        const rows = [...table.querySelectorAll('tr')].map(row =>
+            [...row.children].filter(c => c.tagName === 'TD' || c.tagName === 'TH')
+                .map(c => cell(inlineToMarkdown(c, baseUrl).replace(/\n+/g, ' ').trim()))
+        ).filter(row => row.length);
+        if (!rows.length) return '';
+        const width = Math.max(...rows.map(row => row.length));
+        const pad = row => [...row, ...Array(width - row.length).fill('')];
+        const lines = [`| ${pad(rows[0]).join(' | ')} |`, `| ${Array(width).fill('---').join(' | ')} |`];
+        rows.slice(1).forEach(row => lines.push(`| ${pad(row).join(' | ')} |`));
+        return lines.join('\n');
+    }
+
+    /**
+     * Converts inline content (text, links, emphasis, code) to Markdown
+     * @param {Node} node
+     * @param {string} baseUrl
+     * @returns {string}
+     */
+    function inlineToMarkdown(node, baseUrl) {
+        let out = '';
+        node.childNodes.forEach(child => {
+            if (child.nodeType === 3) {
+                out += child.textContent.replace(/\s+/g, ' ');
+                return;
+            }
+            if (child.nodeType !== 1) return;
+            const inner = () => inlineToMarkdown(child, baseUrl).trim();
+            switch (child.tagName) {
+                case 'BR':
+                    out += '\n';
+                    break;
+                case 'A': {
+                    const text = inner();
+                    const href = absoluteUrl(child.getAttribute('href'), baseUrl);
+                    out += href && text ? `[${text}](${href})` : text;
+                    break;
+                }
+                case 'STRONG':
+                case 'B': {
+                    const text = inner();
+                    out += text ? `**${text}**` : '';
+                    break;
+                }
+                case 'EM':
+                case 'I': {
+                    const text = inner();
+                    out += text ? `*${text}*` : '';
+                    break;
+                }
+                case 'CODE':
+                case 'KBD':
+                case 'SAMP':
+                    out += '`' + child.textContent + '`';
+                    break;
+                case 'IMG': {
+                    const alt = (child.getAttribute('alt') || '').trim();
+                    const src = absoluteUrl(child.getAttribute('src'), baseUrl);
+                    if (alt && src) out += `![${alt}](${src})`;
+                    break;
+                }
+                default:
+                    out += BLOCK_TAGS.has(child.tagName) ? `\n${blocksToMarkdown(child, baseUrl)}\n` : inlineToMarkdown(child, baseUrl);
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Converts a list to Markdown, indenting nested lists
+     * @param {Element} list - ul or ol
+     * @param {string} baseUrl
+     * @param {number} depth
+     * @returns {string}
+     */
+    function listToMarkdown(list, baseUrl, depth = 0) {
+        const indent = '  '.repeat(depth);
+        const ordered = list.tagName === 'OL';
+        let index = Number(list.getAttribute('start')) || 1;
+        const lines = [];
+        [...list.children].filter(c => c.tagName === 'LI').forEach(item => {
+            const nested = [...item.children].filter(c => c.tagName === 'UL' || c.tagName === 'OL');
+            const clone = item.cloneNode(true);
+            [...clone.children].filter(c => c.tagName === 'UL' || c.tagName === 'OL').forEach(c => c.remove());
+            const text = inlineToMarkdown(clone, baseUrl).replace(/\s*\n\s*/g, ' ').trim();
+            lines.push(`${indent}${ordered ? `${index++}.` : '-'} ${text}`);
+            nested.forEach(sub => lines.push(listToMarkdown(sub, baseUrl, depth + 1)));
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Converts block content to Markdown paragraphs in document order
+     * @param {Element} root
+     * @param {string} baseUrl
+     * @returns {string}
+     */
+    function blocksToMarkdown(root, baseUrl) {
+        const blocks = [];
+        let inline = '';
+        const flush = () => {
+            const text = inline.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+            if (text) blocks.push(text);
+            inline = '';
+        };
+        root.childNodes.forEach(node => {
+            if (node.nodeType === 3) {
+                inline += node.textContent.replace(/\s+/g, ' ');
+                return;
+            }
+            if (node.nodeType !== 1) return;
+            const tag = node.tagName;
+            if (!BLOCK_TAGS.has(tag)) {
+                inline += inlineToMarkdown({ childNodes: [node] }, baseUrl);
+                return;
+            }
+            flush();
+            let block = '';
+            if (/^H[1-6]$/.test(tag)) {
+                const text = inlineToMarkdown(node, baseUrl).replace(/\s+/g, ' ').trim();
+                if (text) block = `${'#'.repeat(Number(tag[1]))} ${text}`;
+            } else if (tag === 'UL' || tag === 'OL') {
+                block = listToMarkdown(node, baseUrl);
+            } else if (tag === 'PRE') {
+                const code = node.querySelector('code');
+                const language = ((code || node).className.match(/(?:lang|language)-([\w+#-]+)/) || [])[1] || '';
+                block = '```' + language + '\n' + node.textContent.replace(/\n$/, '') + '\n```';
+            } else if (tag === 'BLOCKQUOTE') {
+                const quoted = blocksToMarkdown(node, baseUrl);
+                block = quoted ? quoted.split('\n').map(line => `> ${line}`.trimEnd()).join('\n') : '';
+            } else if (tag === 'TABLE') {
+                block = tableToMarkdown(node, baseUrl);
+            } else if (tag === 'HR') {
+                block = '---';
+            } else if (tag === 'P') {
+                block = inlineToMarkdown(node, baseUrl).replace(/[ \t]+\n/g, '\n').trim();
+            } else {
+                block = blocksToMarkdown(node, baseUrl);
+            }
+            if (block) blocks.push(block);
+        });
+        flush();
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Lists the Markdown headings of extracted content as sections.
+     * A section runs to the next heading of the same or a higher level.
+     * @param {string} content - Markdown from extract
+     * @returns {Array<{id:string, level:number, title:string, start:number, end:number}>}
+     */
+    function outline(content) {
+        const sections = [];
+        let offset = 0;
+        let inFence = false;
+        content.split('\n').forEach(line => {
+            if (/^```/.test(line)) inFence = !inFence;
+            const heading = !inFence && /^(#{1,6}) +(.+)$/.exec(line);
+            if (heading) {
+                sections.push({ id: `s${sections.length + 1}`, level: heading[1].length, title: heading[2].trim(), start: offset, end: content.length });
+            }
+            offset += line.length + 1;
+        });
+        sections.forEach((section, i) => {
+            const next = sections.slice(i + 1).find(other => other.level <= section.level);
+            if (next) section.end = next.start;
+        });
+        return sections;
+    }
+
+    // Helper: Offsets where paragraphs (blocks after a blank line, outside code fences) start;
+    // a heading stays with the block after it
+    function paragraphStarts(content) {
+        const starts = [0];
+        const lines = content.split('\n');
+        let offset = 0;
+        let inFence = false;
+        let afterHeading = false;
+        lines.forEach((line, i) => {
+            if (/^```/.test(line)) inFence = !inFence;
+            if (line.trim()) afterHeading = !inFence && /^#{1,6} /.test(line);
+            offset += line.length + 1;
+            if (!inFence && !afterHeading && !line.trim() && lines[i + 1] && lines[i + 1].trim()) starts.push(offset);
+        });
+        return starts;
+    }
+
+    /**
+     * Moves a character range onto paragraph boundaries, so reads do not cut
+     * sentences, lists, tables or code blocks in half
+     * @param {string} content
+     * @param {number} start - Requested first character
+     * @param {number} length - Requested number of characters
+     * @returns {{start:number, end:number}} - end is where the next read should start
+     */
+    function snapRange(content, start, length) {
+        const starts = paragraphStarts(content);
+        let from = Math.min(Math.max(0, start), content.length);
+        // Back up to the paragraph's start, unless that would mostly repeat the last read
+        const paragraphStart = starts.filter(offset => offset <= from).pop();
+        if (from - paragraphStart <= Math.max(200, length / 4)) from = paragraphStart;
+        const target = from + length;
+        if (target >= content.length) return { start: from, end: content.length };
+        // End at the last paragraph break that keeps at least half the length...
+        const before = starts.filter(offset => offset > from && offset <= target).pop();
+        if (before !== undefined && before - from >= length / 2) return { start: from, end: before };
+        // ...or run on to the end of the paragraph, if it is not much longer...
+        const after = starts.find(offset => offset > target);
+        const paragraphEnd = after === undefined ? content.length : after;
+        if (paragraphEnd - from <= length * 1.5) return { start: from, end: paragraphEnd };
+        if (before !== undefined) return { start: from, end: before };
+        // ...or, inside a very long paragraph, at the last sentence end
+        const sentenceEnds = [...content.slice(from + Math.floor(length / 2), target).matchAll(/[.!?\u3002\uff01\uff1f]["')\]]?\s/g)];
+        const last = sentenceEnds.pop();
+        return { start: from, end: last ? from + Math.floor(length / 2) + last.index + last[0].length : target };
+    }
+
+    /**
+     * Extracts the main article of a page as Markdown with metadata
+     * @param {string} html - The page HTML
+     * @param {string} url - The page URL, for resolving links
+     * @returns {{content:string, title:(string|null), byline:(string|null), publishedAt:(string|null), canonicalUrl:string, wordCount:number, outline:Array<Object>}}
+     */
+    function extract(html, url) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const metadata = extractMetadata(doc, url);
+        const body = doc.body || doc.documentElement;
+        removeClutter(body);
+        let content = blocksToMarkdown(findArticleRoot(body), url);
+        // Scoring can miss on unusual layouts; fall back to the whole (decluttered) body
+        if (content.length < MIN_ARTICLE_LENGTH) {
+            const whole = blocksToMarkdown(body, url);
+            if (whole.length > content.length) content = whole;
+        }
+        return { content, ...metadata, wordCount: countWords(content), outline: outline(content) };
+    }
+
+    // Public API
+    return {
+        extract,
+        countWords,
+        outline,
+        snapRange
+    };
+})();
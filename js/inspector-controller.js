@@ -0,0 +1,192 @@
+/**
+ * ./js/inspector-controller.js
+ * Inspector Controller Module - The network inspector drawer
+ * Lists NetworkLog entries with a turn filter and exports them as a HAR-like file
+ */
+const InspectorController = (function() {
+    'use strict';
+
+    // Private state
+    let drawer = null;
+    let renderPending = false;
+    const openEntries = new Set(); // ids of expanded entries, kept across re-renders
+
+    /**
+     * Wires the drawer controls and starts listening to the network log
+     */
+    function init() {
+        drawer = document.getElementById('inspector');
+        document.getElementById('inspector-button').addEventListener('click', toggle);
+        document.getElementById('inspector-close').addEventListener('click', toggle);
+        document.getElementById('inspector-turn').addEventListener('change', render);
+        document.getElementById('inspector-clear').addEventListener('click', () => {
+            openEntries.clear();
+            NetworkLog.clear();
+        });
+        document.getElementById('inspector-export').addEventListener('click', exportHar);
+        NetworkLog.subscribe(scheduleRender);
+    }
+
+    /**
+     * Opens or closes the drawer
+     */
+    function toggle() {
+        drawer.hidden = !drawer.hidden;
+        document.getElementById('inspector-button').setAttribute('aria-expanded', String(!drawer.hidden));
+        if (!drawer.hidden) render();
+    }
+
+    // Helper: Re-render at most once per frame; streamed chunks update the log often
+    function scheduleRender() {
+        if (drawer.hidden || renderPending) return;
+        renderPending = true;
+        requestAnimationFrame(() => {
+            renderPending = false;
+            render();
+        });
+    }
+
+    /**
+     * The turn picked in the filter
+     * @returns {number|null} - The turn number, or null for all turns
+     */
+    function selectedTurn() {
+        const value = document.getElementById('inspector-turn').value;
+        if (value === 'latest') {
+            const turns = NetworkLog.getTurns();
+            return turns.length ? turns[turns.length - 1].turn : 0;
+        }
+        return value && value !== 'all' ? Number(value) : null;
+    }
+
+    /**
+     * Refills the turn filter, keeping the current choice
+     */
+    function renderTurnOptions() {
+        const select = document.getElementById('inspector-turn');
+        const current = select.value || 'all';
+        select.innerHTML = '';
+        const options = [['all', 'All turns'], ['latest', 'Latest turn']];
+        NetworkLog.getTurns().slice().reverse().forEach(t => {
+            options.push([String(t.turn), `Turn ${t.turn}: ${t.label || '(no text)'}`]);
+        });
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = options.some(([value]) => value === current) ? current : 'all';
+    }
+
+    // Helper: One-line description of an entry
+    function describe(entry) {
+        const parts = [`#${entry.id}`, entry.kind === 'llm' ? 'LLM' : 'Tool', entry.source];
+        if (entry.model) parts.push(entry.model);
+        parts.push(entry.status ? String(entry.status) : entry.state);
+        if (entry.durationMs !== null) parts.push(`${entry.durationMs} ms`);
+        if (entry.retries.length) parts.push(`${entry.retries.length} ${entry.retries.length === 1 ? 'retry' : 'retries'}`);
+        if (entry.chunks) parts.push(`${entry.chunks} chunks`);
+        if (entry.usage) {
+            parts.push(`${entry.usage.estimated ? '~' : ''}${entry.usage.promptTokens} in / ${entry.usage.completionTokens} out`);
+        }
+        return parts.join(' · ');
+    }
+
+    // Helper: A labelled <pre> block for the entry details
+    function detailBlock(label, text) {
+        const block = document.createElement('div');
+        block.className = 'inspector__detail';
+        const heading = document.createElement('div');
+        heading.className = 'inspector__detail-label';
+        heading.textContent = label;
+        const pre = document.createElement('pre');
+        pre.className = 'inspector__pre';
+        pre.textContent = text;
+        block.append(heading, pre);
+        return block;
+    }
+
+    /**
+     * Builds the list item for one entry
+     * @param {Object} entry - A NetworkLog entry
+     * @returns {HTMLElement}
+     */
+    function renderEntry(entry) {
+        const item = document.createElement('li');
+        item.className = `inspector__entry inspector__entry--${entry.state}`;
+        const details = document.createElement('details');
+        details.open = openEntries.has(entry.id);
+        details.addEventListener('toggle', () => {
+            if (details.open) openEntries.add(entry.id); else openEntries.delete(entry.id);
+        });
+        const summary = document.createElement('summary');
+        summary.className = 'inspector__summary-line';
+        summary.textContent = describe(entry);
+        details.appendChild(summary);
+
+        details.appendChild(detailBlock('Request', `${entry.request.method} ${entry.request.url}`));
+        if (entry.target) details.appendChild(detailBlock('Fetched page', entry.target));
+        if (entry.responseUrl) details.appendChild(detailBlock('Answered by', entry.responseUrl));
+        details.appendChild(detailBlock('Timing', `started ${entry.startedAt}` +
+            (entry.waitMs !== null ? `, response after ${entry.waitMs} ms` : '') +
+            (entry.durationMs !== null ? `, done after ${entry.durationMs} ms` : '')));
+        if (Object.keys(entry.request.headers).length) {
+            details.appendChild(detailBlock('Headers', JSON.stringify(entry.request.headers, null, 2)));
+        }
+        if (entry.request.body) details.appendChild(detailBlock('Body (redacted)', entry.request.body));
+        if (entry.retries.length) {
+            details.appendChild(detailBlock('Retries', entry.retries
+                .map(r => `attempt ${r.attempt} failed, waited ${r.delayMs} ms: ${r.error}`)
+                .join('\n')));
+        }
+        if (entry.usage) details.appendChild(detailBlock('Usage', JSON.stringify(entry.usage, null, 2)));
+        if (entry.error) details.appendChild(detailBlock('Error', entry.error));
+        item.appendChild(details);
+        return item;
+    }
+
+    /**
+     * Redraws the turn filter, totals and entry list
+     */
+    function render() {
+        if (!drawer || drawer.hidden) return;
+        renderTurnOptions();
+        const entries = NetworkLog.getEntries(selectedTurn());
+        const failed = entries.filter(entry => entry.state === 'failed').length;
+        const retries = entries.reduce((sum, entry) => sum + entry.retries.length, 0);
+        document.getElementById('inspector-summary').textContent =
+            `${entries.length} requests · ${failed} failed · ${retries} retries`;
+        const list = document.getElementById('inspector-list');
+        list.innerHTML = '';
+        if (!entries.length) {
+            const empty = document.createElement('li');
+            empty.className = 'inspector__empty';
+            empty.textContent = 'No requests yet.';
+            list.appendChild(empty);
+            return;
+        }
+        // Newest first, so the running request stays at the top
+        entries.slice().reverse().forEach(entry => list.appendChild(renderEntry(entry)));
+    }
+
+    /**
+     * Downloads the filtered entries as a HAR-like JSON file
+     */
+    function exportHar() {
+        const turn = selectedTurn();
+        const har = NetworkLog.toHar(NetworkLog.getEntries(turn));
+        const url = URL.createObjectURL(new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = turn === null ? 'network-log.har.json' : `network-turn-${turn}.har.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Public API
+    return {
+        init,
+        toggle
+    };
+})();
@@ -0,0 +1,206 @@
+/**
+ * ./js/key-manager.js
+ * Key Manager Module - Stores the user's own provider API keys
+ * Keys are encrypted with AES-GCM using a key derived from a passphrase (PBKDF2)
+ * and kept in IndexedDB
+ */
+const KeyManager = (function() {
+    'use strict';
+
+    const DB_NAME = 'ai-chat-keys';
+    const DB_VERSION = 1;
+    const STORE = 'vault';
+    const PBKDF2_ITERATIONS = 310000;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    // Private state
+    let dbPromise = null;
+    let cryptoKey = null;  // derived AES-GCM key while unlocked
+    let salt = null;
+    let keys = {};         // decrypted provider keys while unlocked
+
+    /**
+     * Opens the key vault database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function getDb() {
+        if (!dbPromise) {
+            dbPromise = Utils.openDatabase(DB_NAME, DB_VERSION, db => {
+                db.createObjectStore(STORE, { keyPath: 'id' });
+            });
+        }
+        return dbPromise;
+    }
+
+    async function getRecord(id) {
+        const db = await getDb();
+        return Utils.idbRequest(db, STORE, 'readonly', store => store.get(id));
+    }
+
+    async function putRecord(record) {
+        const db = await getDb();
+        return Utils.idbRequest(db, STORE, 'readwrite', store => store.put(record));
+    }
+
+    async function deleteRecord(id) {
+        const db = await getDb();
+        return Utils.idbRequest(db, STORE, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Derives a non-extractable AES-GCM key from a passphrase
+     * @param {string} passphrase
+     * @param {Uint8Array} keySalt
+     * @returns {Promise<CryptoKey>}
+     */
+    async function deriveKey(passphrase, keySalt) {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: keySalt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Decrypts the vault record; fails if the key is wrong
+     * @param {CryptoKey} key
+     * @param {Object} vault - {iv, data}
+     * @returns {Promise<Object>} - The provider keys
+     */
+    async function decryptVault(key, vault) {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: vault.iv }, key, vault.data);
+        return JSON.parse(decoder.decode(plain));
+    }
+
+    /**
+     * Encrypts the current keys and writes the vault record
+     */
+    async function saveVault() {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, encoder.encode(JSON.stringify(keys)));
+        await putRecord({ id: 'vault', salt, iv, data });
+    }
+
+    /**
+     * Checks whether a passphrase has been set up
+     * @returns {Promise<boolean>}
+     */
+    async function hasVault() {
+        return !!(await getRecord('vault'));
+    }
+
+    /**
+     * Unlocks the vault with a passphrase, creating an empty vault on first use
+     * @param {string} passphrase - The passphrase
+     * @param {boolean} [remember] - Keep the derived key on this device
+     * @returns {Promise<Object>} - The provider keys
+     */
+    async function unlock(passphrase, remember = false) {
+        const vault = await getRecord('vault');
+        if (vault) {
+            const key = await deriveKey(passphrase, vault.salt);
+            try {
+                keys = await decryptVault(key, vault);
+            } catch (err) {
+                throw new Error('Invalid passphrase');
+            }
+            cryptoKey = key;
+            salt = vault.salt;
+        } else {
+            salt = crypto.getRandomValues(new Uint8Array(16));
+            cryptoKey = await deriveKey(passphrase, salt);
+            keys = {};
+            await saveVault();
+        }
+        if (remember) {
+            // The derived key is non-extractable, so only this origin can use it
+            await putRecord({ id: 'remembered', key: cryptoKey });
+        }
+        return getKeys();
+    }
+
+    /**
+     * Unlocks the vault with the key remembered on this device, if any
+     * @returns {Promise<Object|null>} - The provider keys, or null if not remembered
+     */
+    async function unlockWithRememberedKey() {
+        const [remembered, vault] = await Promise.all([getRecord('remembered'), getRecord('vault')]);
+        if (!remembered || !vault) return null;
+        try {
+            keys = await decryptVault(remembered.key, vault);
+        } catch (err) {
+            console.warn('Remembered key no longer opens the vault:', err);
+            await deleteRecord('remembered');
+            return null;
+        }
+        cryptoKey = remembered.key;
+        salt = vault.salt;
+        return getKeys();
+    }
+
+    /**
+     * Whether the vault is unlocked in this session
+     * @returns {boolean}
+     */
+    function isUnlocked() {
+        return !!cryptoKey;
+    }
+
+    /**
+     * Gets the decrypted provider keys
+     * @returns {Object} - Map of provider name to key
+     */
+    function getKeys() {
+        return { ...keys };
+    }
+
+    /**
+     * Stores or removes (empty value) a provider key
+     * @param {string} provider - Provider name, e.g. 'openai'
+     * @param {string} value - The API key
+     */
+    async function setKey(provider, value) {
+        if (!cryptoKey) throw new Error('Key vault is locked');
+        if (value) {
+            keys[provider] = value;
+        } else {
+            delete keys[provider];
+        }
+        await saveVault();
+    }
+
+    /**
+     * Forgets the remembered key and locks the vault
+     */
+    async function forget() {
+        await deleteRecord('remembered');
+        cryptoKey = null;
+        salt = null;
+        keys = {};
+    }
+
+    /**
+     * Deletes the vault and all stored keys (for a forgotten passphrase)
+     */
+    async function reset() {
+        await deleteRecord('vault');
+        await forget();
+    }
+
+    // Public API
+    return {
+        hasVault,
+        unlock,
+        unlockWithRememberedKey,
+        isUnlocked,
+        getKeys,
+        setKey,
+        forget,
+        reset
+    };
+})();
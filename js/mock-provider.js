@@ -0,0 +1,325 @@
+/**
+ * ./js/mock-provider.js
+ * Mock Provider Module - A scripted "mock" model for offline development and demos
+ * Replies, tool calls, chunk timing, usage and errors come from a JSON script and are
+ * served as OpenAI-format responses, so the whole ApiService path (streaming, retries,
+ * tool calls, usage) runs without keys or network. The script can also carry canned
+ * tool results, which ToolsService serves while the mock model is selected.
+ *
+ * Script format:
+ * {
+ *   "name": "Demo",
+ *   "defaults": { "chunkDelayMs": 40, "chunkSize": 12 },
+ *   "steps": [
+ *     {
+ *       "match": "regex",          // optional; tested against the system prompt + last message
+ *       "text": "reply text",
+ *       "toolCalls": [{ "name": "web_search", "arguments": { "query": "..." } }],
+ *       "usage": { "promptTokens": 120, "completionTokens": 40 },  // omitted: ApiService estimates
+ *       "delayMs": 300,            // wait before responding
+ *       "chunkDelayMs": 40, "chunkSize": 12,
+ *       "error": { "status": 429, "message": "...", "retryAfterSeconds": 2 },  // or { "network": true }
+ *       "failAfterChunks": 3,      // break the stream after N chunks
+ *       "stallAfterChunks": 3      // stop sending after N chunks (trips the idle timeout)
+ *     }
+ *   ],
+ *   "tools": {
+ *     "web_search": { "<query>|*": [{ "title": "", "url": "", "snippet": "" }] },
+ *     "read_url": { "<url>|*": "page text" or { "content", "title", "byline", "publishedAt", "canonicalUrl" } },
+ *     "instant_answer": { "<query>|*": { ... } }
+ *   }
+ * }
+ *
+ * Each request uses the first unused step whose "match" fits, else the first unused
+ * step without one; an error step is used up too, so a retry gets the next step.
+ */
+const MockProvider = (function() {
+    'use strict';
+
+    const MODEL_ID = 'mock';
+    const FINISHED_TEXT = '[Mock script finished. Restart it in Settings to run it again.]';
+
+    // Walks a search → read → summarize demo whatever the question is
+    const DEFAULT_SCRIPT = {
+        name: 'Built-in demo',
+        defaults: { chunkDelayMs: 30, chunkSize: 8 },
+        steps: [
+            { match: 'most relevant search results', text: '1, 2', usage: { promptTokens: 180, completionTokens: 3 } },
+            { match: 'decides if more content is needed', text: 'NO, the snippet answers the question.' },
+            { match: 'decides if more content is needed', text: 'NO, this page is enough.' },
+            {
+                match: 'provides a final answer',
+                text: 'The mock provider replays a scripted conversation, so the tool loop can be demonstrated offline.',
+                usage: { promptTokens: 240, completionTokens: 22 }
+            },
+            {
+                match: 'synthesizes information',
+                text: 'Both pages describe how scripted replies stand in for a live model during development.',
+                usage: { promptTokens: 420, completionTokens: 18 }
+            },
+            {
+                text: 'Let me look that up.',
+                toolCalls: [{ name: 'web_search', arguments: { query: 'mock provider demo' } }],
+                usage: { promptTokens: 650, completionTokens: 24 }
+            },
+            {
+                text: 'Done. The search, the pages and the summary above all came from the mock script.',
+                usage: { promptTokens: 1400, completionTokens: 30 }
+            }
+        ],
+        tools: {
+            web_search: {
+                '*': [
+                    { title: 'Mock article one', url: 'https://example.com/mock/one', snippet: 'A canned search result served by the mock provider.' },
+                    { title: 'Mock article two', url: 'https://example.com/mock/two', snippet: 'Another canned result for offline demos.' },
+                    { title: 'Mock article three', url: 'https://example.com/mock/three', snippet: 'A result the demo does not read.' }
+                ]
+            },
+            read_url: {
+                'https://example.com/mock/one': 'Mock article one\n\nScripted replies let developers exercise the chat flow without an API key. Each step of the script is served in order.',
+                'https://example.com/mock/two': 'Mock article two\n\nStreaming timing, usage numbers and injected errors are all part of the script, so runs are repeatable.',
+                '*': 'Mock page\n\nThis page text comes from the mock script fixtures.'
+            },
+            instant_answer: {
+                '*': { Heading: 'Mock', AbstractText: 'Instant answers are canned while the mock model is selected.' }
+            }
+        }
+    };
+
+    // Private state
+    let script = DEFAULT_SCRIPT;
+    let usedSteps = new Set();
+    let callCounter = 0;
+
+    /**
+     * Checks a script and fills in missing sections
+     * @param {Object} candidate - The parsed script
+     * @returns {Object} - The normalized script
+     */
+    function normalizeScript(candidate) {
+        if (!candidate || typeof candidate !== 'object' || !Array.isArray(candidate.steps)) {
+            throw new Error('Mock script must be an object with a "steps" array');
+        }
+        candidate.steps.forEach((step, i) => {
+            if (!step || typeof step !== 'object') {
+                throw new Error(`Mock script step ${i + 1} must be an object`);
+            }
+            if (step.match) {
+                try {
+                    new RegExp(step.match, 'i');
+                } catch (err) {
+                    throw new Error(`Mock script step ${i + 1} has an invalid "match": ${err.message}`);
+                }
+            }
+        });
+        return {
+            name: candidate.name || 'Custom script',
+            defaults: candidate.defaults || {},
+            steps: candidate.steps,
+            tools: candidate.tools || {}
+        };
+    }
+
+    /**
+     * Replaces the active script and rewinds it
+     * @param {Object|null} candidate - The script, or null for the built-in demo
+     */
+    function load(candidate) {
+        script = candidate ? normalizeScript(candidate) : DEFAULT_SCRIPT;
+        reset();
+    }
+
+    /**
+     * Rewinds the script so every step can be used again
+     */
+    function reset() {
+        usedSteps = new Set();
+        callCounter = 0;
+    }
+
+    /**
+     * Describes the active script for the settings panel
+     * @returns {{name: string, steps: number, used: number, builtIn: boolean}}
+     */
+    function getScriptInfo() {
+        return { name: script.name, steps: script.steps.length, used: usedSteps.size, builtIn: script === DEFAULT_SCRIPT };
+    }
+
+    /**
+     * Canned tool results for ToolsService.setFixtures
+     * @returns {Object}
+     */
+    function getToolFixtures() {
+        return script.tools;
+    }
+
+    /**
+     * Whether a model id is the mock model
+     * @param {string} model
+     * @returns {boolean}
+     */
+    function isMockModel(model) {
+        return model === MODEL_ID;
+    }
+
+    // Helper: Text of an OpenAI-format message (string or content parts)
+    function messageText(message) {
+        if (!message) return '';
+        if (typeof message.content === 'string') return message.content;
+        return (message.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+
+    /**
+     * Picks the step that answers a request and marks it used
+     * @param {Array} messages - The OpenAI-format request messages
+     * @returns {Object} - The step
+     */
+    function nextStep(messages) {
+        const system = messages.find(m => m.role === 'system');
+        const haystack = `${messageText(system)}\n${messageText(messages[messages.length - 1])}`;
+        const isFree = (step, i) => !usedSteps.has(i);
+        let index = script.steps.findIndex((step, i) => isFree(step, i) && step.match && new RegExp(step.match, 'i').test(haystack));
+        if (index === -1) index = script.steps.findIndex((step, i) => isFree(step, i) && !step.match);
+        if (index === -1) return { text: FINISHED_TEXT };
+        usedSteps.add(index);
+        return script.steps[index];
+    }
+
+    // Helper: OpenAI-format tool calls for a step
+    function toToolCalls(step) {
+        return (step.toolCalls || []).map(call => ({
+            id: call.id || `mock_call_${++callCounter}`,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }));
+    }
+
+    // Helper: OpenAI-format usage for a step, or undefined so ApiService estimates it
+    function toUsage(step) {
+        if (!step.usage) return undefined;
+        const prompt = step.usage.promptTokens || 0;
+        const completion = step.usage.completionTokens || 0;
+        return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+    }
+
+    /**
+     * Builds the response for a scripted error
+     * @param {Object} error - {status, message, retryAfterSeconds} or {network: true}
+     * @returns {Response}
+     */
+    function errorResponse(error) {
+        if (error.network) {
+            throw new TypeError('Failed to fetch (mock network error)');
+        }
+        const headers = { 'Content-Type': 'application/json' };
+        if (error.retryAfterSeconds !== undefined) headers['Retry-After'] = String(error.retryAfterSeconds);
+        const body = { error: { message: error.message || `Mock error ${error.status || 500}` } };
+        return new Response(JSON.stringify(body), { status: error.status || 500, headers });
+    }
+
+    /**
+     * Builds the SSE events a step streams, in OpenAI chunk format
+     * @param {Object} step
+     * @returns {Array<string>} - The data payloads
+     */
+    function streamEvents(step) {
+        const chunkSize = Math.max(1, step.chunkSize || script.defaults.chunkSize || 8);
+        const text = step.text || '';
+        const events = [];
+        for (let i = 0; i < text.length; i += chunkSize) {
+            events.push({ choices: [{ index: 0, delta: { content: text.slice(i, i + chunkSize) } }] });
+        }
+        toToolCalls(step).forEach((call, index) => {
+            events.push({ choices: [{ index: 0, delta: { tool_calls: [{ index, ...call }] } }] });
+        });
+        const usage = toUsage(step);
+        if (usage) events.push({ choices: [], usage });
+        return events.map(event => JSON.stringify(event)).concat('[DONE]');
+    }
+
+    /**
+     * Streams a step's events with its chunk timing and failure points
+     * @param {Object} step
+     * @param {AbortSignal} [signal]
+     * @returns {ReadableStream}
+     */
+    function streamBody(step, signal) {
+        const encoder = new TextEncoder();
+        const events = streamEvents(step);
+        const chunkDelayMs = step.chunkDelayMs ?? script.defaults.chunkDelayMs ?? 0;
+        let sent = 0;
+        return new ReadableStream({
+            async pull(controller) {
+                if (sent === step.failAfterChunks) {
+                    controller.error(new TypeError('Mock stream interrupted'));
+                    return;
+                }
+                if (sent === step.stallAfterChunks) {
+                    // Never settles; the reader's idle timeout cancels the stream
+                    return new Promise(() => {});
+                }
+                if (sent >= events.length) {
+                    controller.close();
+                    return;
+                }
+                try {
+                    if (sent > 0) await Utils.delay(chunkDelayMs, signal);
+                } catch (err) {
+                    controller.error(err);
+                    return;
+                }
+                controller.enqueue(encoder.encode(`data: ${events[sent]}\n\n`));
+                sent++;
+            }
+        });
+    }
+
+    /**
+     * Serves a chat completion request from the script, like fetch would
+     * @param {string} url - Ignored
+     * @param {Object} options - fetch options with the JSON body and signal
+     * @returns {Promise<Response>}
+     */
+    async function mockFetch(url, options) {
+        const request = JSON.parse(options.body);
+        const step = nextStep(request.messages || []);
+        await Utils.delay(step.delayMs ?? 0, options.signal);
+        if (step.error) return errorResponse(step.error);
+        if (request.stream) {
+            return new Response(streamBody(step, options.signal), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        }
+        const toolCalls = toToolCalls(step);
+        const body = {
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: step.text || '', ...(toolCalls.length ? { tool_calls: toolCalls } : {}) },
+                finish_reason: toolCalls.length ? 'tool_calls' : 'stop'
+            }],
+            usage: toUsage(step)
+        };
+        return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    // Reuse the OpenAI-compatible adapter and answer its requests locally
+    const baseAdapter = ApiService.createOpenAICompatibleProvider({
+        name: 'mock',
+        baseUrl: 'mock://local',
+        models: [{ id: MODEL_ID, label: 'Mock (scripted, offline)' }],
+        images: true
+    });
+    ApiService.registerProvider({
+        ...baseAdapter,
+        buildRequest(request) {
+            return { ...baseAdapter.buildRequest(request), fetch: mockFetch };
+        }
+    });
+
+    // Public API
+    return {
+        load,
+        reset,
+        getScriptInfo,
+        getToolFixtures,
+        isMockModel
+    };
+})();
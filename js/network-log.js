@@ -0,0 +1,323 @@
+/**
+ * ./js/network-log.js
+ * Network Log Module - Records the requests ApiService and ToolsService make
+ * Entries keep the provider or proxy, a redacted copy of the request, status,
+ * timing, retries, streamed chunk count and token usage, grouped by chat turn
+ */
+const NetworkLog = (function() {
+    'use strict';
+
+    const MAX_ENTRIES = 300;
+    // Also catches the auth headers of self-hosted proxies (e.g. X-Proxy-Key)
+    const SECRET_HEADERS = /auth|api-?key|token|secret|password|^x-.*-key$/i;
+    const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+    const SECRET_FIELDS = /^(api[_-]?key|secret|password|authorization|access[_-]?token)$/i;
+    const LONG_DATA_LENGTH = 256;
+
+    // Private state
+    let entries = [];
+    let turns = [];     // {turn, label, startedAt}
+    let currentTurn = 0;
+    let nextId = 1;
+    const listeners = new Set();
+
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Hides credentials in a URL's query string
+     * @param {string} url
+     * @returns {string}
+     */
+    function redactUrl(url) {
+        try {
+            const parsed = new URL(url);
+            let changed = false;
+            SECRET_PARAMS.forEach(name => {
+                if (parsed.searchParams.has(name)) {
+                    parsed.searchParams.set(name, 'REDACTED');
+                    changed = true;
+                }
+            });
+            // A proxy URL carries its target as a parameter
+            [...parsed.searchParams.entries()].forEach(([name, value]) => {
+                if (!/^https?:\/\//i.test(value)) return;
+                const redacted = redactUrl(value);
+                if (redacted !== value) {
+                    parsed.searchParams.set(name, redacted);
+                    changed = true;
+                }
+            });
+            return changed ? parsed.toString() : url;
+        } catch {
+            return url;
+        }
+    }
+
+    /**
+     * Copies headers as a plain object with credentials hidden
+     * @param {Object|Headers} [headers]
+     * @returns {Object}
+     */
+    function redactHeaders(headers) {
+        const result = {};
+        const pairs = headers instanceof Headers ? [...headers.entries()] : Object.entries(headers || {});
+        pairs.forEach(([name, value]) => {
+            result[name] = SECRET_HEADERS.test(name) ? 'REDACTED' : value;
+        });
+        return result;
+    }
+
+    // Helper: Replaces secrets and shortens base64 blobs (image attachments) in a parsed body
+    function redactValue(value, key) {
+        if (typeof value === 'string') {
+            if (key && SECRET_FIELDS.test(key)) return 'REDACTED';
+            if (value.length > LONG_DATA_LENGTH && /^(data:[^;]+;base64,)?[A-Za-z0-9+/=\s]+$/.test(value)) {
+                return `[base64, ${value.length} chars]`;
+            }
+            return value;
+        }
+        if (Array.isArray(value)) return value.map(item => redactValue(item));
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(k => { result[k] = redactValue(value[k], k); });
+            return result;
+        }
+        return value;
+    }
+
+    /**
+     * Makes a request body safe to show and export
+     * @param {*} body - The fetch body (JSON text for the model APIs)
+     * @returns {string|null}
+     */
+    function redactBody(body) {
+        if (body === undefined || body === null) return null;
+        if (typeof body !== 'string') return `[${Object.prototype.toString.call(body).slice(8, -1)}]`;
+        try {
+            return JSON.stringify(redactValue(JSON.parse(body)), null, 2);
+        } catch {
+            return body;
+        }
+    }
+
+    /**
+     * Starts a new turn; later entries are grouped under it
+     * @param {string} [label] - Shown in the turn filter (e.g. the user's message)
+     * @returns {number} - The turn number
+     */
+    function startTurn(label = '') {
+        currentTurn += 1;
+        turns.push({ turn: currentTurn, label: label.slice(0, 60), startedAt: new Date().toISOString() });
+        notify();
+        return currentTurn;
+    }
+
+    /**
+     * Records the start of a request
+     * @param {Object} request
+     * @param {string} request.kind - 'llm' or 'tool'
+     * @param {string} request.source - Provider or proxy name
+     * @param {string} request.url
+     * @param {string} [request.method]
+     * @param {Object} [request.headers]
+     * @param {*} [request.body]
+     * @param {string} [request.model] - Model id, for LLM requests
+     * @param {string} [request.target] - The page a proxy fetches, for tool requests
+     * @returns {Object} - The entry, to pass to the other recording functions
+     */
+    function begin({ kind, source, url, method = 'GET', headers, body, model, target }) {
+        const entry = {
+            id: nextId++,
+            turn: currentTurn,
+            kind,
+            source,
+            model: model || null,
+            target: target || null,
+            request: { method, url: redactUrl(url), headers: redactHeaders(headers), body: redactBody(body) },
+            startedAt: new Date().toISOString(),
+            startTime: performance.now(),
+            waitMs: null,
+            durationMs: null,
+            status: null,
+            retries: [],
+            chunks: 0,
+            usage: null,
+            error: null,
+            state: 'pending'
+        };
+        entries.push(entry);
+        if (entries.length > MAX_ENTRIES) entries = entries.slice(-MAX_ENTRIES);
+        notify();
+        return entry;
+    }
+
+    /**
+     * Records the response status (the body may still be streaming)
+     * @param {Object} entry
+     * @param {Response} response
+     */
+    function markResponse(entry, response) {
+        entry.status = response.status;
+        // Shows which proxy answered when a helper rotated through several
+        if (response.url && redactUrl(response.url) !== entry.request.url) entry.responseUrl = redactUrl(response.url);
+        entry.waitMs = Math.round(performance.now() - entry.startTime);
+        notify();
+    }
+
+    /**
+     * Records a retry wait
+     * @param {Object} entry
+     * @param {Object} info - {attempt, delayMs, error} as passed to onRetry
+     */
+    function addRetry(entry, { attempt, delayMs, error }) {
+        entry.retries.push({ attempt, delayMs, error: error ? error.message : '' });
+        notify();
+    }
+
+    /**
+     * Counts one streamed event
+     * @param {Object} entry
+     */
+    function addChunk(entry) {
+        entry.chunks += 1;
+        notify();
+    }
+
+    /**
+     * Records the end of a request
+     * @param {Object} entry
+     * @param {Object} [result]
+     * @param {Object} [result.usage] - Token usage
+     * @param {Error} [result.error] - Why the request failed
+     */
+    function finish(entry, { usage, error } = {}) {
+        entry.durationMs = Math.round(performance.now() - entry.startTime);
+        if (entry.waitMs === null) entry.waitMs = entry.durationMs;
+        if (usage) entry.usage = usage;
+        if (error) {
+            entry.error = error.message || String(error);
+            if (!entry.status && error.status) entry.status = error.status;
+            entry.state = Utils.isAbortError(error) ? 'aborted' : 'failed';
+        } else {
+            entry.state = 'done';
+        }
+        notify();
+    }
+
+    /**
+     * Gets recorded entries, newest last
+     * @param {number|null} [turn] - Only entries from this turn
+     * @returns {Array<Object>}
+     */
+    function getEntries(turn = null) {
+        return turn === null ? [...entries] : entries.filter(entry => entry.turn === turn);
+    }
+
+    /**
+     * Gets the turns that have been started
+     * @returns {Array<{turn:number, label:string, startedAt:string}>}
+     */
+    function getTurns() {
+        return [...turns];
+    }
+
+    /**
+     * Forgets all entries and turns
+     */
+    function clear() {
+        entries = [];
+        turns = turns.filter(t => t.turn === currentTurn);
+        notify();
+    }
+
+    /**
+     * Calls a listener whenever the log changes
+     * @param {Function} listener
+     * @returns {Function} - Unsubscribes the listener
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Converts entries into a HAR-like log; extra fields use HAR's "_" prefix
+     * @param {Array<Object>} list - The entries to export
+     * @returns {Object}
+     */
+    function toHar(list) {
+        const toPairs = object => Object.entries(object || {}).map(([name, value]) => ({ name, value: String(value) }));
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'Simple AI Agent', version: '1.0' },
+                pages: turns.filter(t => list.some(entry => entry.turn === t.turn)).map(t => ({
+                    id: `turn-${t.turn}`,
+                    startedDateTime: t.startedAt,
+                    title: t.label || `Turn ${t.turn}`,
+                    pageTimings: {}
+                })),
+                entries: list.map(entry => ({
+                    pageref: `turn-${entry.turn}`,
+                    startedDateTime: entry.startedAt,
+                    time: entry.durationMs ?? -1,
+                    request: {
+                        method: entry.request.method,
+                        url: entry.request.url,
+                        httpVersion: 'HTTP/1.1',
+                        headers: toPairs(entry.request.headers),
+                        queryString: [],
+                        cookies: [],
+                        headersSize: -1,
+                        bodySize: entry.request.body ? entry.request.body.length : 0,
+                        ...(entry.request.body ? { postData: { mimeType: 'application/json', text: entry.request.body } } : {})
+                    },
+                    response: {
+                        status: entry.status || 0,
+                        statusText: '',
+                        httpVersion: 'HTTP/1.1',
+                        headers: [],
+                        cookies: [],
+                        content: { size: -1, mimeType: '' },
+                        redirectURL: '',
+                        headersSize: -1,
+                        bodySize: -1
+                    },
+                    cache: {},
+                    timings: {
+                        send: 0,
+                        wait: entry.waitMs ?? -1,
+                        receive: entry.durationMs !== null && entry.waitMs !== null ? entry.durationMs - entry.waitMs : -1
+                    },
+                    _kind: entry.kind,
+                    _source: entry.source,
+                    _model: entry.model,
+                    _target: entry.target,
+                    _responseUrl: entry.responseUrl || null,
+                    _state: entry.state,
+                    _retries: entry.retries,
+                    _chunks: entry.chunks,
+                    _usage: entry.usage,
+                    _error: entry.error
+                }))
+            }
+        };
+    }
+
+    // Public API
+    return {
+        startTurn,
+        begin,
+        markResponse,
+        addRetry,
+        addChunk,
+        finish,
+        getEntries,
+        getTurns,
+        clear,
+        subscribe,
+        toHar
+    };
+})();
@@ -0,0 +1,163 @@
+/**
+ * ./js/pdf-extractor.js
+ * PDF Extractor Module - Turns a fetched PDF into page-numbered text for read_url
+ * The bundled pdf.js build (js/vendor/pdfjs, pdfjs-dist 4.10.38) is loaded the
+ * first time a PDF is read, so pages that never open a PDF do not pay for it.
+ * Each page starts with a "[Page N]" line and the page offsets are returned, so
+ * reads and citations can name the page. PDF text has no reliable headings, so
+ * the outline lists the pages (sections "p1", "p2"...).
+ */
+const PdfExtractor = (function() {
+    'use strict';
+
+    // Served with the app, so PDFs read offline and no third-party code runs next to the keys
+    const PDFJS_BASE = new URL('js/vendor/pdfjs/', document.baseURI).href;
+    const MAX_PAGES = 300;
+    const MAX_BYTES = 30 * 1024 * 1024;
+
+    // Private state
+    let libraryPromise = null;
+
+    /**
+     * Whether a response body is a PDF, by content type or by the "%PDF-" magic bytes
+     * @param {string|null} contentType - The Content-Type header
+     * @param {ArrayBuffer} bytes - The body
+     * @returns {boolean}
+     */
+    function isPdf(contentType, bytes) {
+        if (contentType && /application\/(x-)?pdf/i.test(contentType)) return true;
+        const head = new Uint8Array(bytes, 0, Math.min(1024, bytes.byteLength));
+        // Some servers send a few bytes of junk before the header; the spec allows 1 KB
+        return String.fromCharCode(...head).includes('%PDF-');
+    }
+
+    /**
+     * Loads pdf.js once and starts its worker from the bundled worker build
+     * @returns {Promise<Object>} - The pdf.js module
+     */
+    function loadLibrary() {
+        if (!libraryPromise) {
+            libraryPromise = import(`${PDFJS_BASE}pdf.min.mjs`).then(lib => {
+                lib.GlobalWorkerOptions.workerPort = new Worker(`${PDFJS_BASE}pdf.worker.min.mjs`, { type: 'module' });
+                return lib;
+            }).catch(err => {
+                libraryPromise = null;
+                throw new Error(`Could not load the PDF parser: ${err.message}`);
+            });
+        }
+        return libraryPromise;
+    }
+
+    // Helper: Converts a PDF date ("D:20240102153000+01'00'") to an ISO date
+    function parsePdfDate(value) {
+        const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?/.exec(value || '');
+        if (!match) return null;
+        return [match[1], match[2] || '01', match[3] || '01'].join('-');
+    }
+
+    /**
+     * Joins a page's text items into lines and paragraphs, using their positions
+     * @param {Array<Object>} items - From page.getTextContent()
+     * @returns {string}
+     */
+    function pageText(items) {
+        let text = '';
+        let lastY = null;
+        let lastHeight = 0;
+        items.forEach(item => {
+            if (typeof item.str !== 'string') return;
+            if (!item.str) {
+                if (item.hasEOL && text && !text.endsWith('\n')) text += '\n';
+                return;
+            }
+            const y = item.transform[5];
+            if (lastY !== null && Math.abs(y - lastY) > 1) {
+                // A gap well over one line height starts a new paragraph
+                const gap = Math.abs(y - lastY) > Math.max(lastHeight, item.height) * 1.8 ? '\n\n' : '\n';
+                if (!text.endsWith(gap)) text += text.endsWith('\n') ? gap.slice(1) : gap;
+            }
+            text += item.str;
+            if (item.hasEOL) text += '\n';
+            lastY = y;
+            lastHeight = item.height || lastHeight;
+        });
+        return text
+            .replace(/(\w)-\n(\w)/g, '$1$2')  // words hyphenated across lines
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Extracts the text of a PDF page by page
+     * @param {ArrayBuffer} bytes - The PDF file
+     * @param {string} url - Where it came from; used as the canonical URL
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops between pages
+     * @returns {Promise<{content:string, title:(string|null), byline:(string|null), publishedAt:(string|null), canonicalUrl:string, wordCount:number, outline:Array<Object>, pageCount:number, pages:Array<{page:number, start:number, end:number}>}>}
+     */
+    async function extract(bytes, url, { signal } = {}) {
+        if (bytes.byteLength > MAX_BYTES) {
+            throw new Error(`PDF is too large to read (${Math.round(bytes.byteLength / 1024 / 1024)} MB)`);
+        }
+        const lib = await loadLibrary();
+        Utils.throwIfAborted(signal);
+        const task = lib.getDocument({ data: new Uint8Array(bytes), isEvalSupported: false, disableFontFace: true });
+        try {
+            const pdf = await task.promise;
+            const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+            const pageCount = Math.min(pdf.numPages, MAX_PAGES);
+            const pages = [];
+            let content = '';
+            for (let number = 1; number <= pageCount; number++) {
+                Utils.throwIfAborted(signal);
+                const page = await pdf.getPage(number);
+                const text = pageText((await page.getTextContent()).items);
+                page.cleanup();
+                if (content) content += '\n\n';
+                const start = content.length;
+                content += `[Page ${number}]\n${text}`;
+                pages.push({ page: number, start, end: content.length });
+            }
+            if (pdf.numPages > pageCount) {
+                content += `\n\n[Only the first ${pageCount} of ${pdf.numPages} pages were read]`;
+            }
+            if (!content.replace(/\[Page \d+\]/g, '').trim()) {
+                throw new Error('PDF has no text layer (it may be scanned images)');
+            }
+            return {
+                content,
+                title: (info.Title || '').trim() || null,
+                byline: (info.Author || '').trim() || null,
+                publishedAt: parsePdfDate(info.CreationDate),
+                canonicalUrl: url,
+                wordCount: ContentExtractor.countWords(content.replace(/\[Page \d+\]/g, '')),
+                outline: pages.map(p => ({ id: `p${p.page}`, level: 1, title: `Page ${p.page}`, start: p.start, end: p.end })),
+                pageCount: pdf.numPages,
+                pages
+            };
+        } finally {
+            task.destroy();
+        }
+    }
+
+    /**
+     * The pages a character range of the extracted text falls on
+     * @param {Array<{page:number, start:number, end:number}>} pages - From extract
+     * @param {number} start - First character
+     * @param {number} end - Character after the last one
+     * @returns {{from:number, to:number}|null}
+     */
+    function pagesForRange(pages, start, end) {
+        const hit = (pages || []).filter(p => p.start < Math.max(end, start + 1) && p.end > start);
+        return hit.length ? { from: hit[0].page, to: hit[hit.length - 1].page } : null;
+    }
+
+    // Public API
+    return {
+        isPdf,
+        extract,
+        pagesForRange
+    };
+})();
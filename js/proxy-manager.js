@@ -0,0 +1,352 @@
+/**
+ * ./js/proxy-manager.js
+ * Proxy Manager Module - The CORS proxies used to fetch pages and APIs
+ * Keeps the built-in public proxies, which can be turned on or off, and the user's
+ * self-hosted ones (URL template plus an optional auth header whose value lives in
+ * the KeyManager vault as 'proxy:<name>'). Private targets (URLs with credentials or
+ * on local/intranet hosts) are never sent to public proxies. Health scores and the
+ * last latency are kept in localStorage so later sessions try the working proxies
+ * first, and probe() checks every proxy against a known page for the diagnostics view.
+ */
+const ProxyManager = (function() {
+    'use strict';
+
+    const CONFIG_KEY = 'chat_proxies';
+    const HEALTH_KEY = 'chat_proxy_health';
+    const MAX_HEALTH = 20;
+    const PROBE_URL = 'https://example.com/';
+    const PROBE_TIMEOUT = 8000;
+    const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+
+    // Templates use {url} for the encoded target or {rawUrl} for it as is;
+    // without either the encoded target is appended
+    const BUILT_IN_PROXIES = [
+        { name: 'CodeTabs', template: 'https://api.codetabs.com/v1/proxy?quest={url}' },
+        { name: 'AllOrigins', template: 'https://api.allorigins.win/raw?url={url}' },
+        { name: 'CORSProxy.io', template: 'https://corsproxy.io/?url={url}' },
+        { name: 'cors.eu.org', template: 'https://cors.eu.org/{rawUrl}' },
+        { name: 'ThingProxy', template: 'https://thingproxy.freeboard.io/fetch/{rawUrl}' },
+        { name: 'JSONP afeld', template: 'https://jsonp.afeld.me/?url={url}' },
+        // Needs a per-visitor opt-in on its demo page, so it starts off
+        { name: 'CORS Anywhere (demo)', template: 'https://cors-anywhere.herokuapp.com/{rawUrl}', enabled: false },
+        // No proxy: works for sites that allow CORS, and is safe for private targets
+        { name: 'Direct', template: '{rawUrl}', direct: true }
+    ];
+
+    // Private state
+    let builtInEnabled = {};  // overrides of the built-in defaults, by name
+    let customProxies = [];   // {name, template, authHeader, privateOnly, enabled}
+    let health = {};          // {score, latencyMs} by proxy name; the score goes up for successes, down for failures
+
+    /**
+     * Loads the proxy settings and health scores saved by earlier sessions
+     */
+    function load() {
+        const config = Utils.getFromStorage(CONFIG_KEY) || {};
+        builtInEnabled = config.builtInEnabled || {};
+        customProxies = config.custom || [];
+        health = Utils.getFromStorage(HEALTH_KEY) || {};
+        // Earlier versions stored the bare score
+        Object.keys(health).forEach(name => {
+            if (typeof health[name] === 'number') health[name] = { score: health[name], latencyMs: null };
+        });
+    }
+
+    function saveConfig() {
+        Utils.saveToStorage(CONFIG_KEY, { builtInEnabled, custom: customProxies });
+    }
+
+    /**
+     * Lists every proxy, self-hosted ones first, with its state
+     * @returns {Array<{name:string, template:string, authHeader:(string|null), builtIn:boolean, public:boolean, privateOnly:boolean, enabled:boolean, health:number, latencyMs:(number|null)}>}
+     */
+    function listProxies() {
+        const custom = customProxies.map(proxy => ({
+            name: proxy.name,
+            template: proxy.template,
+            authHeader: proxy.authHeader || null,
+            builtIn: false,
+            public: false,
+            privateOnly: !!proxy.privateOnly,
+            enabled: proxy.enabled !== false,
+            health: getHealth(proxy.name),
+            latencyMs: getLatency(proxy.name)
+        }));
+        const builtIn = BUILT_IN_PROXIES.map(proxy => ({
+            name: proxy.name,
+            template: proxy.template,
+            authHeader: null,
+            builtIn: true,
+            public: !proxy.direct,
+            privateOnly: false,
+            enabled: builtInEnabled[proxy.name] ?? proxy.enabled !== false,
+            health: getHealth(proxy.name),
+            latencyMs: getLatency(proxy.name)
+        }));
+        return custom.concat(builtIn);
+    }
+
+    /**
+     * Whether a URL must not go through a public proxy: it carries credentials,
+     * or its host is local or on a private network
+     * @param {string} url
+     * @returns {boolean}
+     */
+    function isPrivateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return false;
+        }
+        if (parsed.username || parsed.password) return true;
+        if (SECRET_PARAMS.some(name => parsed.searchParams.has(name))) return true;
+        const host = parsed.hostname.replace(/^\[|\]$/g, '');
+        return host === 'localhost'
+            || /\.(local|internal|lan|home\.arpa)$/i.test(host)
+            || /^(127\.|10\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.)/.test(host)
+            || /^(::1|f[cd][0-9a-f]{2}:)/i.test(host);
+    }
+
+    /**
+     * The enabled proxies that may fetch a target, healthiest first; equal scores
+     * go fastest first, then in settings order (self-hosted proxies lead)
+     * @param {string} target - The URL to fetch
+     * @returns {Array<Object>} - Entries as listProxies returns them
+     */
+    function getProxies(target) {
+        const privateTarget = isPrivateUrl(target);
+        return listProxies()
+            .filter(proxy => proxy.enabled && (privateTarget ? !proxy.public : !proxy.privateOnly))
+            .sort((a, b) => (b.health - a.health) || ((a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity)) || 0);
+    }
+
+    /**
+     * Builds the URL that asks a proxy for the target
+     * @param {Object} proxy
+     * @param {string} target
+     * @returns {string}
+     */
+    function formatUrl(proxy, target) {
+        const { template } = proxy;
+        if (template.includes('{url}')) return template.split('{url}').join(encodeURIComponent(target));
+        if (template.includes('{rawUrl}')) return template.split('{rawUrl}').join(target);
+        return template + encodeURIComponent(target);
+    }
+
+    /**
+     * Adds the proxy's auth header to fetch options, with the value from the key vault
+     * @param {Object} proxy
+     * @param {Object} [options] - fetch options
+     * @returns {Object} - New fetch options
+     */
+    function requestOptions(proxy, options = {}) {
+        if (!proxy.authHeader) return options;
+        const value = KeyManager.isUnlocked() ? KeyManager.getKeys()[`proxy:${proxy.name}`] : '';
+        if (!value) return options;
+        return { ...options, headers: { ...(options.headers || {}), [proxy.authHeader]: value } };
+    }
+
+    /**
+     * A proxy's health score (0 when it has not been used)
+     * @param {string} name
+     * @returns {number}
+     */
+    function getHealth(name) {
+        return health[name] ? health[name].score : 0;
+    }
+
+    /**
+     * How long a proxy's last usable response took
+     * @param {string} name
+     * @returns {number|null} - ms, or null when unknown
+     */
+    function getLatency(name) {
+        return health[name] ? health[name].latencyMs : null;
+    }
+
+    /**
+     * Scores a request through a proxy and saves the scores
+     * @param {string} name
+     * @param {boolean} ok - Whether the proxy returned a usable response
+     * @param {number} [latencyMs] - How long it took; kept for successes
+     */
+    function recordResult(name, ok, latencyMs) {
+        const score = Math.max(-MAX_HEALTH, Math.min(MAX_HEALTH, getHealth(name) + (ok ? 2 : -2)));
+        health[name] = { score, latencyMs: ok && latencyMs !== undefined ? Math.round(latencyMs) : getLatency(name) };
+        Utils.saveToStorage(HEALTH_KEY, health);
+    }
+
+    /**
+     * Forgets all health scores
+     */
+    function resetHealth() {
+        health = {};
+        localStorage.removeItem(HEALTH_KEY);
+    }
+
+    /**
+     * Turns a proxy on or off
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    function setEnabled(name, enabled) {
+        const custom = customProxies.find(proxy => proxy.name === name);
+        if (custom) {
+            custom.enabled = enabled;
+        } else if (BUILT_IN_PROXIES.some(proxy => proxy.name === name)) {
+            builtInEnabled[name] = enabled;
+        } else {
+            throw new Error(`Unknown proxy "${name}"`);
+        }
+        saveConfig();
+    }
+
+    /**
+     * Adds a self-hosted proxy; its auth header value is stored in the vault by the caller
+     * @param {Object} proxy
+     * @param {string} proxy.name
+     * @param {string} proxy.template - http(s) URL with {url} or {rawUrl}
+     * @param {string} [proxy.authHeader] - Header that carries the proxy's key
+     * @param {boolean} [proxy.privateOnly] - Only use it for private targets
+     */
+    function addProxy({ name, template, authHeader = '', privateOnly = false }) {
+        if (!name) throw new Error('Name is required.');
+        if (listProxies().some(proxy => proxy.name === name)) {
+            throw new Error(`A proxy named "${name}" already exists.`);
+        }
+        if (!/^https?:\/\//.test(template)) {
+            throw new Error('URL template must start with http:// or https://.');
+        }
+        if (authHeader && !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(authHeader)) {
+            throw new Error(`"${authHeader}" is not a valid header name.`);
+        }
+        customProxies.push({ name, template, authHeader: authHeader || null, privateOnly, enabled: true });
+        saveConfig();
+    }
+
+    /**
+     * Removes a self-hosted proxy
+     * @param {string} name
+     */
+    function removeProxy(name) {
+        customProxies = customProxies.filter(proxy => proxy.name !== name);
+        delete health[name];
+        Utils.saveToStorage(HEALTH_KEY, health);
+        saveConfig();
+    }
+
+    /**
+     * Fetches a resource through the proxies that may carry it. Each attempt tries the
+     * proxies in turn: a network error, timeout or refusal (403, 404...) moves straight
+     * on to the next proxy. Rate limits and server errors (429, 5xx) go to the
+     * Utils.fetchWithRetry policy, which backs off with jitter, honors Retry-After and
+     * starts the next attempt at the next proxy. A failed response throws an error
+     * carrying status and retryAfterMs
+     * @param {string} resource - The target URL
+     * @param {Object} [options] - fetch options
+     * @param {Object} [policy]
+     * @param {number} [policy.retries] - Attempts in total (default: the Utils.fetchWithRetry default)
+     * @param {number} [policy.timeout] - Timeout per proxy in ms
+     * @param {Function} [policy.onRetry] - Called with {attempt, maxAttempts, delayMs, error} before each wait
+     * @returns {Promise<Response>} - An ok response
+     */
+    async function fetchWithProxyRetry(resource, options = {}, { retries, timeout = 10000, onRetry } = {}) {
+        const proxies = getProxies(resource);
+        if (!proxies.length) throw new Error('No enabled proxy may fetch this URL. Check the proxy settings.');
+        let next = 0;
+        const viaProxies = async (target, attemptOptions) => {
+            let lastResponse = null;
+            let lastError = null;
+            for (let i = 0; i < proxies.length; i++) {
+                const proxy = proxies[next++ % proxies.length];
+                try {
+                    const response = await Utils.fetchWithTimeout(formatUrl(proxy, target), requestOptions(proxy, attemptOptions), timeout);
+                    if (response.ok || Utils.isRetryableError({ status: response.status })) return response;
+                    lastResponse = response;
+                    console.warn(`Proxy fetch via ${proxy.name} failed: HTTP ${response.status}`);
+                } catch (err) {
+                    // The caller's signal or the attempt's overall limit ends the round
+                    if (attemptOptions.signal && attemptOptions.signal.aborted) throw err;
+                    lastError = err;
+                    console.warn(`Proxy fetch via ${proxy.name} failed:`, err);
+                }
+            }
+            if (lastResponse) return lastResponse;
+            throw lastError;
+        };
+        return Utils.fetchWithRetry(resource, options, {
+            connectTimeout: timeout * proxies.length, onRetry, fetchImpl: viaProxies, ...(retries ? { maxAttempts: retries } : {})
+        });
+    }
+
+    /**
+     * Checks one proxy against a known page. Requests always use CORS mode, so an
+     * opaque response cannot happen: a proxy that withholds CORS headers fails the
+     * fetch and is reported by its error
+     * @param {Object} proxy - An entry from listProxies
+     * @param {string} target
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<{name:string, enabled:boolean, ok:boolean, status:(number|null), latencyMs:number, bytes:number, empty:boolean, error:(string|null), health:number}>}
+     */
+    async function probeProxy(proxy, target, signal) {
+        const started = performance.now();
+        const entry = NetworkLog.begin({ kind: 'tool', source: `${proxy.name} (probe)`, url: formatUrl(proxy, target), target });
+        const result = { name: proxy.name, enabled: proxy.enabled, ok: false, status: null, bytes: 0, empty: false, error: null };
+        try {
+            const response = await Utils.fetchWithTimeout(formatUrl(proxy, target), requestOptions(proxy, { signal, cache: 'no-store' }), PROBE_TIMEOUT);
+            NetworkLog.markResponse(entry, response);
+            result.status = response.status;
+            result.bytes = (await response.arrayBuffer()).byteLength;
+            result.empty = result.bytes === 0;
+            result.ok = response.ok && !result.empty;
+            if (!result.ok) {
+                result.error = result.empty ? 'Empty body' : `HTTP ${response.status}`;
+            }
+            NetworkLog.finish(entry, result.ok ? {} : { error: new Error(result.error) });
+        } catch (err) {
+            NetworkLog.finish(entry, { error: err });
+            if (Utils.isAbortError(err) && signal && signal.aborted) throw err;
+            result.error = err.name === 'TimeoutError' || Utils.isAbortError(err) ? `No response in ${PROBE_TIMEOUT / 1000}s` : err.message;
+        }
+        result.latencyMs = Math.round(performance.now() - started);
+        recordResult(proxy.name, result.ok, result.latencyMs);
+        result.health = getHealth(proxy.name);
+        return result;
+    }
+
+    /**
+     * Probes every proxy, enabled or not, in parallel; the results update the health scores
+     * @param {Object} [options]
+     * @param {string} [options.target] - The page to fetch (default example.com)
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onResult] - Called with each result as it arrives
+     * @returns {Promise<Array<Object>>} - Results in list order
+     */
+    function probe({ target = PROBE_URL, signal, onResult } = {}) {
+        return Promise.all(listProxies().map(async proxy => {
+            const result = await probeProxy(proxy, target, signal);
+            if (onResult) onResult(result);
+            return result;
+        }));
+    }
+
+    // Public API
+    return {
+        load,
+        listProxies,
+        getProxies,
+        isPrivateUrl,
+        formatUrl,
+        requestOptions,
+        getHealth,
+        getLatency,
+        recordResult,
+        resetHealth,
+        setEnabled,
+        addProxy,
+        removeProxy,
+        fetchWithProxyRetry,
+        probe
+    };
+})();
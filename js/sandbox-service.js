@@ -0,0 +1,204 @@
+/**
+ * ./js/sandbox-service.js
+ * Sandbox Service Module - Runs model-written JavaScript in a Web Worker
+ * The worker has no DOM, its network and storage APIs are removed before the code
+ * runs, import() and code built from strings are refused, and it is terminated when
+ * it exceeds the CPU time limit
+ */
+const SandboxService = (function() {
+    'use strict';
+
+    const DEFAULT_TIMEOUT_MS = 3000;
+    const DEFAULT_MAX_OUTPUT = 10000;
+
+    // Globals removed from the worker before user code runs
+    const BLOCKED_GLOBALS = [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource', 'importScripts',
+        'FontFace', 'FontFaceSet', 'fonts', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker',
+        'FileReaderSync', 'Request', 'Response', 'Headers', 'navigator'
+    ];
+    // Any other worker global whose name matches is removed too, so network APIs
+    // a browser adds later (or under a vendor prefix) are caught without a list update
+    const NETWORK_GLOBALS = '^(\\w*(fetch|XMLHttpRequest|WebSocket|WebTransport|EventSource|FontFace|RTC)\\w*|Request|Response|Headers)$';
+
+    // import() is syntax, not a global, so it is caught in the source instead
+    const DYNAMIC_IMPORT = /\bimport\s*(\(|\/[*/])/;
+
+    /**
+     * Worker body; serialized into a Blob, so it can only use what it defines itself
+     */
+    function workerMain(blocked, networkPattern) {
+        const send = self.postMessage.bind(self);
+        const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+        let maxOutput = 0;
+        let stdout = '';
+        let truncated = false;
+
+        // Code compiled from strings at run time could hide an import(), so only the
+        // source that run() checked is ever compiled
+        const refuse = function() {
+            throw new EvalError('Code generation from strings is disabled in the sandbox');
+        };
+        [Function, AsyncFunction, function*() {}.constructor, async function*() {}.constructor].forEach(ctor => {
+            Object.defineProperty(ctor.prototype, 'constructor', { value: refuse });
+        });
+        ['setTimeout', 'setInterval'].forEach(name => {
+            const original = self[name];
+            self[name] = (handler, ...rest) => {
+                if (typeof handler !== 'function') refuse();
+                return original.call(self, handler, ...rest);
+            };
+        });
+        ['eval', 'Function'].forEach(name => {
+            Object.defineProperty(self, name, { value: refuse, writable: false, configurable: false });
+        });
+
+        // Sweep the global and its prototypes for network APIs the list does not name
+        const networkApi = new RegExp(networkPattern);
+        const names = new Set([...blocked, 'postMessage', 'close']);
+        for (let proto = self; proto; proto = Object.getPrototypeOf(proto)) {
+            Object.getOwnPropertyNames(proto).forEach(name => {
+                if (networkApi.test(name)) names.add(name);
+            });
+        }
+
+        // Shadow the blocked globals and remove them from the prototype chain too
+        names.forEach(name => {
+            for (let proto = self; proto; proto = Object.getPrototypeOf(proto)) {
+                if (Object.prototype.hasOwnProperty.call(proto, name)) {
+                    try { delete proto[name]; } catch (err) { /* not configurable */ }
+                }
+            }
+            try {
+                Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+            } catch (err) { /* already locked */ }
+        });
+
+        function isError(value) {
+            return !!value && typeof value === 'object' && typeof value.name === 'string' && typeof value.message === 'string';
+        }
+
+        function format(value) {
+            if (typeof value === 'string') return value;
+            if (typeof value === 'bigint') return `${value}n`;
+            if (typeof value === 'function' || typeof value === 'symbol') return String(value);
+            if (value === undefined) return 'undefined';
+            if (isError(value)) return `${value.name}: ${value.message}`;
+            try {
+                const json = JSON.stringify(value, (key, v) => typeof v === 'bigint' ? `${v}n` : v);
+                return json === undefined ? String(value) : json;
+            } catch (err) {
+                return String(value);
+            }
+        }
+
+        function write(prefix, args) {
+            if (truncated) return;
+            stdout += prefix + args.map(format).join(' ') + '\n';
+            if (stdout.length > maxOutput) {
+                stdout = stdout.slice(0, maxOutput);
+                truncated = true;
+            }
+        }
+
+        self.console = {
+            log: (...args) => write('', args),
+            info: (...args) => write('', args),
+            debug: (...args) => write('', args),
+            warn: (...args) => write('[warn] ', args),
+            error: (...args) => write('[error] ', args)
+        };
+
+        self.onmessage = async function(event) {
+            maxOutput = event.data.maxOutput;
+            const code = event.data.code;
+            let run;
+            try {
+                // A single expression returns its value; a script returns what it `return`s
+                run = new AsyncFunction(`"use strict";\nreturn (${code}\n);`);
+            } catch (err) {
+                try {
+                    run = new AsyncFunction(`"use strict";\n${code}`);
+                } catch (syntaxError) {
+                    send({ stdout, truncated, error: `${syntaxError.name}: ${syntaxError.message}` });
+                    return;
+                }
+            }
+            try {
+                const value = await run();
+                let result = format(value);
+                if (result.length > maxOutput) {
+                    result = result.slice(0, maxOutput);
+                    truncated = true;
+                }
+                send({ stdout, truncated, result });
+            } catch (err) {
+                send({ stdout, truncated, error: isError(err) ? `${err.name}: ${err.message}` : `Thrown: ${format(err)}` });
+            }
+        };
+    }
+
+    let workerUrl = null;
+
+    // Helper: Blob URL of the worker script, built once
+    function getWorkerUrl() {
+        if (!workerUrl) {
+            const source = `(${workerMain.toString()})(${JSON.stringify(BLOCKED_GLOBALS)}, ${JSON.stringify(NETWORK_GLOBALS)});`;
+            workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        }
+        return workerUrl;
+    }
+
+    /**
+     * Runs JavaScript in a fresh sandboxed worker
+     * @param {string} code - An expression, or a script that uses `return` for its value
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - CPU time limit; the worker is terminated after it
+     * @param {number} [options.maxOutput] - Max characters of console output and of the result
+     * @param {AbortSignal} [options.signal] - Stops the run
+     * @returns {Promise<{stdout:string, result:(string|undefined), error:(string|undefined), truncated:boolean, timedOut:boolean, durationMs:number}>}
+     */
+    function run(code, { timeoutMs = DEFAULT_TIMEOUT_MS, maxOutput = DEFAULT_MAX_OUTPUT, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            Utils.throwIfAborted(signal);
+            if (DYNAMIC_IMPORT.test(code)) {
+                resolve({
+                    stdout: '', truncated: false, timedOut: false, durationMs: 0,
+                    error: 'SyntaxError: import() is not allowed in the sandbox (it has no network access)'
+                });
+                return;
+            }
+            const started = performance.now();
+            const worker = new Worker(getWorkerUrl());
+            const finish = outcome => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                worker.terminate();
+                resolve({
+                    stdout: '', truncated: false, timedOut: false, ...outcome,
+                    durationMs: Math.round(performance.now() - started)
+                });
+            };
+            const onAbort = () => {
+                clearTimeout(timer);
+                worker.terminate();
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                finish({ timedOut: true, error: `Stopped after ${timeoutMs} ms (CPU time limit)` });
+            }, timeoutMs);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            worker.onmessage = event => finish(event.data);
+            worker.onerror = event => {
+                event.preventDefault();
+                finish({ error: event.message || 'Worker error' });
+            };
+            worker.postMessage({ code, maxOutput });
+        });
+    }
+
+    // Public API
+    return {
+        run
+    };
+})();
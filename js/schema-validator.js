@@ -0,0 +1,183 @@
+/**
+ * ./js/schema-validator.js
+ * Schema Validator Module - Checks values against JSON Schemas
+ * Covers the keywords used for structured output and tool arguments:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * length/size/range limits, pattern, anyOf/oneOf/allOf and nullable
+ */
+const SchemaValidator = (function() {
+    'use strict';
+
+    /**
+     * Gets the JSON type name of a value ('integer' counts as a 'number' too)
+     * @param {*} value
+     * @returns {string}
+     */
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    // Helper: Whether a value matches one schema type name
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    // Helper: The RegExp for a schema pattern, or null if it does not compile
+    function compilePattern(pattern) {
+        try {
+            return new RegExp(pattern);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Finds the first pattern in a schema (or its subschemas) that does not compile
+     * @param {Object} schema
+     * @param {string} path - Location of the schema, for the message
+     * @returns {string|null} - A problem description, or null if every pattern compiles
+     */
+    function findBadPattern(schema, path) {
+        if (!schema || typeof schema !== 'object') return null;
+        if (typeof schema.pattern === 'string' && !compilePattern(schema.pattern)) {
+            return `${path}: invalid pattern /${schema.pattern}/`;
+        }
+        const children = [
+            ...Object.entries(schema.properties || {}).map(([key, sub]) => [sub, `${path}.${key}`]),
+            [schema.items, `${path}[]`],
+            [schema.additionalProperties, `${path}.*`],
+            ...['allOf', 'anyOf', 'oneOf'].flatMap(keyword => (schema[keyword] || []).map((sub, i) => [sub, `${path}.${keyword}[${i}]`]))
+        ];
+        for (const [sub, subPath] of children) {
+            const problem = findBadPattern(sub, subPath);
+            if (problem) return problem;
+        }
+        return null;
+    }
+
+    /**
+     * Validates a value against a schema
+     * @param {*} value - The value to check
+     * @param {Object} schema - The JSON Schema
+     * @param {string} [path] - Location of the value, for error messages
+     * @returns {Array<string>} - Error messages; empty if the value is valid
+     */
+    function validate(value, schema, path = '$') {
+        if (!schema || typeof schema !== 'object') return [];
+        const errors = [];
+
+        if (value === null && schema.nullable) return errors;
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+                return errors;
+            }
+        }
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+        }
+        if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path}: must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern) {
+                const pattern = compilePattern(schema.pattern);
+                if (!pattern) {
+                    errors.push(`${path}: schema error, invalid pattern /${schema.pattern}/`);
+                } else if (!pattern.test(value)) {
+                    errors.push(`${path}: must match /${schema.pattern}/`);
+                }
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path}: must be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path}: must be <= ${schema.maximum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path}: must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path}: must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items && typeof schema.items === 'object') {
+                value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+            });
+            Object.keys(value).forEach(key => {
+                if (properties[key]) {
+                    errors.push(...validate(value[key], properties[key], `${path}.${key}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}: unexpected property "${key}"`);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    errors.push(...validate(value[key], schema.additionalProperties, `${path}.${key}`));
+                }
+            });
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => errors.push(...validate(value, sub, path)));
+        }
+        if (schema.anyOf && !schema.anyOf.some(sub => validate(value, sub, path).length === 0)) {
+            errors.push(`${path}: does not match any of the allowed schemas`);
+        }
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(sub => validate(value, sub, path).length === 0).length;
+            if (matches !== 1) errors.push(`${path}: must match exactly one of the allowed schemas (matched ${matches})`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Checks that a schema is an object describing something validate() can use
+     * @param {*} schema
+     * @returns {string|null} - A problem description, or null if usable
+     */
+    function checkSchema(schema) {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return 'Schema must be a JSON object';
+        }
+        if (!schema.type && !schema.properties && !schema.anyOf && !schema.oneOf && !schema.allOf && !schema.enum) {
+            return 'Schema needs a "type" (or properties, enum, anyOf, oneOf, allOf)';
+        }
+        return findBadPattern(schema, '$');
+    }
+
+    // Public API
+    return {
+        validate,
+        checkSchema
+    };
+})();
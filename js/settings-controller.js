@@ -13,8 +13,44 @@ const SettingsController = (function() {
         enableCoT: true,  // Default: checked
         showThinking: true,
         selectedModel: 'gpt-4.1-mini', // Default model
-        darkMode: true // Default dark mode is now true
+        darkMode: true, // Default dark mode is now true
+        dailyBudget: null,        // USD, null = no limit
+        conversationBudget: null, // USD, null = no limit
+        budgetAction: 'warn'      // 'warn' or 'block' when a budget would be exceeded
     };
+    // OpenAI-compatible endpoints ({name, baseUrl, models, supportsTools, supportsImages}), kept in localStorage;
+    // their optional keys live in the KeyManager vault as 'custom:<name>'
+    const API_KEY_FIELDS = { openai: 'openai-key', gemini: 'gemini-key', anthropic: 'anthropic-key' };
+    let customEndpoints = [];
+    // Prices in USD per million tokens. User edits (and prices for custom
+    // endpoint models) are kept in localStorage as overrides
+    const DEFAULT_PRICING = {
+        'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+        'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+        'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+        'gemma-3-27b-it': { input: 0, output: 0 },
+        'claude-sonnet-4-5': { input: 3, output: 15 },
+        'claude-haiku-4-5': { input: 1, output: 5 },
+        'mock': { input: 0, output: 0 }
+    };
+    let pricingOverrides = {};
+    // Generation parameters saved per model id (localStorage 'chat_model_params');
+    // numeric fields map to input ids, stopSequences is edited as "a|b"
+    const PARAM_FIELDS = {
+        temperature: 'param-temperature',
+        topP: 'param-top-p',
+        maxTokens: 'param-max-tokens',
+        seed: 'param-seed',
+        presencePenalty: 'param-presence-penalty',
+        frequencyPenalty: 'param-frequency-penalty'
+    };
+    let modelParams = {};
+    let paramsModel = null; // model whose parameters the fields currently show
+    let conversationDraft = null; // unsaved edits to the conversation override
+    let conversationShown = ''; // the conversation parameters the fields were filled with (JSON)
+    // Fallback model ids per model, tried in order (localStorage 'chat_fallbacks')
+    let fallbackChains = {};
+    let fallbackModel = null; // model whose chain the field currently shows
 
     /**
      * Creates and attaches the settings modal
@@ -25,6 +61,7 @@ const SettingsController = (function() {
         // Create modal from template
         settingsModal = Utils.createFromTemplate('settings-modal-template');
         document.body.appendChild(settingsModal);
+        populateModelSelect();
         
         // Set initial values based on current settings
         document.getElementById('streaming-toggle').checked = settings.streaming;
@@ -33,9 +70,24 @@ const SettingsController = (function() {
         document.getElementById('model-select').value = settings.selectedModel;
         document.getElementById('dark-mode-toggle').checked = settings.darkMode;
         
+        renderEndpointList();
+        renderPricingTable();
+        
         // Add event listeners
         document.getElementById('save-settings').addEventListener('click', saveSettings);
         document.getElementById('close-settings').addEventListener('click', hideSettingsModal);
+        document.getElementById('add-endpoint').addEventListener('click', handleAddEndpoint);
+        document.getElementById('discover-models').addEventListener('click', handleDiscoverModels);
+        document.getElementById('model-select').addEventListener('change', handleParamTargetChange);
+        document.getElementById('model-select').addEventListener('change', handleFallbackTargetChange);
+        document.getElementById('param-scope').addEventListener('change', handleParamTargetChange);
+        document.getElementById('add-proxy').addEventListener('click', handleAddProxy);
+        document.getElementById('reset-proxy-health').addEventListener('click', handleResetProxyHealth);
+        document.getElementById('probe-proxies').addEventListener('click', handleProbeProxies);
+        document.getElementById('clear-tool-cache').addEventListener('click', handleClearToolCache);
+        document.getElementById('mock-script-file').addEventListener('change', handleMockScriptFile);
+        document.getElementById('mock-script-rewind').addEventListener('click', handleMockScriptRewind);
+        document.getElementById('mock-script-default').addEventListener('click', handleMockScriptDefault);
         
         // Close when clicking outside the modal content
         settingsModal.addEventListener('click', function(event) {
@@ -45,6 +97,572 @@ const SettingsController = (function() {
         });
     }
 
+    /**
+     * Fills the model dropdown with the models declared by registered providers
+     */
+    function populateModelSelect() {
+        const select = document.getElementById('model-select');
+        if (!select) return;
+        select.innerHTML = '';
+        ApiService.listModels().forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Registers the custom endpoints with ApiService and refreshes the model dropdown
+     */
+    function applyCustomEndpoints() {
+        ApiService.setCustomEndpoints(customEndpoints);
+        const select = document.getElementById('model-select');
+        if (select) {
+            const current = select.value;
+            populateModelSelect();
+            select.value = current;
+        }
+    }
+
+    /**
+     * Renders the list of custom endpoints with remove buttons
+     */
+    function renderEndpointList() {
+        const list = document.getElementById('endpoint-list');
+        if (!list) return;
+        list.innerHTML = '';
+        customEndpoints.forEach(endpoint => {
+            const item = document.createElement('li');
+            item.innerHTML = `<span><strong>${Utils.escapeHtml(endpoint.name)}</strong> ${Utils.escapeHtml(endpoint.baseUrl)} (${endpoint.models.length} models)</span>`;
+            const removeButton = document.createElement('button');
+            removeButton.className = 'settings-modal__button';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => removeEndpoint(endpoint.name));
+            item.appendChild(removeButton);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows an error below the endpoint form ('' clears it)
+     * @param {string} message
+     */
+    function showEndpointError(message) {
+        document.getElementById('endpoint-error').textContent = message;
+    }
+
+    /**
+     * Renders the proxies with on/off switches, health scores and remove buttons
+     */
+    function renderProxyList() {
+        const list = document.getElementById('proxy-list');
+        if (!list) return;
+        list.innerHTML = '';
+        ProxyManager.listProxies().forEach(proxy => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'settings-modal__label';
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.className = 'settings-modal__checkbox';
+            toggle.checked = proxy.enabled;
+            toggle.addEventListener('change', () => ProxyManager.setEnabled(proxy.name, toggle.checked));
+            const kind = proxy.builtIn ? (proxy.public ? 'public' : 'no proxy') : 'self-hosted';
+            const details = document.createElement('span');
+            details.innerHTML = `<strong>${Utils.escapeHtml(proxy.name)}</strong> ${Utils.escapeHtml(proxy.template)} ` +
+                `(${kind}${proxy.privateOnly ? ', private URLs only' : ''}${proxy.authHeader ? `, ${Utils.escapeHtml(proxy.authHeader)}` : ''}; ` +
+                `health ${proxy.health}${proxy.latencyMs !== null ? `, ${proxy.latencyMs} ms` : ''})`;
+            label.append(toggle, details);
+            item.appendChild(label);
+            if (!proxy.builtIn) {
+                const removeButton = document.createElement('button');
+                removeButton.className = 'settings-modal__button';
+                removeButton.textContent = 'Remove';
+                removeButton.addEventListener('click', () => removeProxy(proxy.name));
+                item.appendChild(removeButton);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    function showProxyError(message) {
+        document.getElementById('proxy-error').textContent = message;
+    }
+
+    /**
+     * Validates the proxy form and adds a self-hosted proxy
+     */
+    async function handleAddProxy() {
+        const name = document.getElementById('proxy-name').value.trim();
+        const template = document.getElementById('proxy-template').value.trim();
+        const authHeader = document.getElementById('proxy-auth-header').value.trim();
+        const authValue = document.getElementById('proxy-auth-value').value.trim();
+        const privateOnly = document.getElementById('proxy-private-only').checked;
+
+        if (authValue && !authHeader) {
+            showProxyError('Enter the header name for the auth value.');
+            return;
+        }
+        if (authValue && !KeyManager.isUnlocked()) {
+            showProxyError('Unlock your keys before adding a proxy key.');
+            return;
+        }
+        try {
+            ProxyManager.addProxy({ name, template, authHeader, privateOnly });
+        } catch (err) {
+            showProxyError(err.message);
+            return;
+        }
+        if (authValue) {
+            try {
+                await KeyManager.setKey('proxy:' + name, authValue);
+            } catch (err) {
+                // A proxy that needs a key is no use without it
+                ProxyManager.removeProxy(name);
+                showProxyError(`Could not store the proxy key: ${err.message}`);
+                return;
+            }
+        }
+        renderProxyList();
+        showProxyError('');
+        ['proxy-name', 'proxy-template', 'proxy-auth-header', 'proxy-auth-value'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('proxy-private-only').checked = false;
+    }
+
+    /**
+     * Removes a self-hosted proxy and its key
+     * @param {string} name
+     */
+    function removeProxy(name) {
+        ProxyManager.removeProxy(name);
+        if (KeyManager.isUnlocked() && KeyManager.getKeys()['proxy:' + name]) {
+            KeyManager.setKey('proxy:' + name, '')
+                .catch(err => console.error('Failed to remove proxy key:', err));
+        }
+        renderProxyList();
+    }
+
+    function handleResetProxyHealth() {
+        ProxyManager.resetHealth();
+        renderProxyList();
+    }
+
+    /**
+     * Probes every proxy against a known page and fills the diagnostics table as results arrive
+     */
+    async function handleProbeProxies() {
+        const button = document.getElementById('probe-proxies');
+        const rows = document.getElementById('proxy-diagnostics-rows');
+        button.disabled = true;
+        rows.innerHTML = '';
+        const rowByName = new Map();
+        ProxyManager.listProxies().forEach(proxy => {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td>${Utils.escapeHtml(proxy.name)}${proxy.enabled ? '' : ' (off)'}</td><td colspan="5">Testing...</td>`;
+            rows.appendChild(row);
+            rowByName.set(proxy.name, row);
+        });
+        document.getElementById('proxy-diagnostics').hidden = false;
+        document.getElementById('proxy-diagnostics-note').hidden = false;
+        try {
+            await ProxyManager.probe({
+                onResult(result) {
+                    const body = result.empty ? 'empty' : `${result.bytes} bytes`;
+                    rowByName.get(result.name).innerHTML = `<td>${Utils.escapeHtml(result.name)}${result.enabled ? '' : ' (off)'}</td>` +
+                        `<td>${result.status ?? '-'}</td><td>${result.latencyMs} ms</td><td>${body}</td>` +
+                        `<td>${result.health}</td><td>${result.ok ? 'OK' : Utils.escapeHtml(result.error)}</td>`;
+                }
+            });
+        } catch (err) {
+            showProxyError(`Proxy test failed: ${err.message}`);
+        } finally {
+            button.disabled = false;
+            renderProxyList();
+        }
+    }
+
+    /**
+     * Shows how many searches and pages are cached and roughly how much space they use
+     */
+    async function showToolCacheInfo() {
+        const { entries, bytes } = await ToolCache.getStats();
+        document.getElementById('tool-cache-info').textContent =
+            `${entries} cached ${entries === 1 ? 'entry' : 'entries'} (about ${(bytes / 1024 / 1024).toFixed(1)} MB). ` +
+            'Searches are kept for 6 hours and pages for 3 days.';
+    }
+
+    async function handleClearToolCache() {
+        await ToolCache.clear();
+        showToolCacheInfo();
+    }
+
+    /**
+     * Shows which mock script is loaded and how far it has run
+     */
+    function showMockScriptInfo() {
+        const info = MockProvider.getScriptInfo();
+        document.getElementById('mock-script-info').textContent =
+            `${info.name}: ${info.used} of ${info.steps} steps used. Select "Mock (scripted, offline)" as the model to run it.`;
+    }
+
+    function showMockScriptError(message) {
+        document.getElementById('mock-script-error').textContent = message;
+    }
+
+    /**
+     * Loads a mock script from the chosen file and keeps it for later sessions
+     * @param {Event} event - The file input change event
+     */
+    async function handleMockScriptFile(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const script = JSON.parse(await file.text());
+            MockProvider.load(script);
+            Utils.saveToStorage('chat_mock_script', script);
+            showMockScriptError('');
+        } catch (err) {
+            showMockScriptError(`Could not load ${file.name}: ${err.message}`);
+        }
+        showMockScriptInfo();
+    }
+
+    function handleMockScriptRewind() {
+        MockProvider.reset();
+        showMockScriptInfo();
+    }
+
+    function handleMockScriptDefault() {
+        MockProvider.load(null);
+        localStorage.removeItem('chat_mock_script');
+        showMockScriptError('');
+        showMockScriptInfo();
+    }
+
+    /**
+     * Fills the models field from the server's /models route
+     */
+    async function handleDiscoverModels() {
+        const baseUrl = document.getElementById('endpoint-url').value.trim();
+        const key = document.getElementById('endpoint-key').value.trim();
+        if (!/^https?:\/\//.test(baseUrl)) {
+            showEndpointError('Enter the base URL first.');
+            return;
+        }
+        showEndpointError('');
+        const button = document.getElementById('discover-models');
+        button.disabled = true;
+        try {
+            const models = await ApiService.discoverModels(baseUrl, key);
+            if (!models.length) {
+                showEndpointError('The server did not list any models.');
+                return;
+            }
+            document.getElementById('endpoint-models').value = models.join(', ');
+        } catch (err) {
+            showEndpointError(`Model discovery failed: ${err.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Validates the endpoint form and adds the endpoint
+     */
+    async function handleAddEndpoint() {
+        const name = document.getElementById('endpoint-name').value.trim();
+        const baseUrl = document.getElementById('endpoint-url').value.trim();
+        const apiKey = document.getElementById('endpoint-key').value.trim();
+        const models = document.getElementById('endpoint-models').value
+            .split(',')
+            .map(m => m.trim())
+            .filter(Boolean);
+        const supportsTools = document.getElementById('endpoint-tools').checked;
+        const supportsImages = document.getElementById('endpoint-images').checked;
+
+        if (!name || name.includes('/')) {
+            showEndpointError('Name is required and cannot contain "/".');
+            return;
+        }
+        if (customEndpoints.some(e => e.name === name)) {
+            showEndpointError(`An endpoint named "${name}" already exists.`);
+            return;
+        }
+        if (!/^https?:\/\//.test(baseUrl)) {
+            showEndpointError('Base URL must start with http:// or https://.');
+            return;
+        }
+        if (!models.length) {
+            showEndpointError('Add at least one model, or use Discover.');
+            return;
+        }
+        if (apiKey) {
+            if (!KeyManager.isUnlocked()) {
+                showEndpointError('Unlock your keys before adding an endpoint key.');
+                return;
+            }
+            try {
+                await KeyManager.setKey('custom:' + name, apiKey);
+            } catch (err) {
+                showEndpointError(`Could not store the endpoint key: ${err.message}`);
+                return;
+            }
+            ApiService.setApiKeys(KeyManager.getKeys());
+        }
+
+        customEndpoints.push({ name, baseUrl, models, supportsTools, supportsImages });
+        Utils.saveToStorage('chat_endpoints', customEndpoints);
+        applyCustomEndpoints();
+        renderEndpointList();
+        showEndpointError('');
+        ['endpoint-name', 'endpoint-url', 'endpoint-key', 'endpoint-models'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('endpoint-tools').checked = false;
+        document.getElementById('endpoint-images').checked = false;
+    }
+
+    /**
+     * Removes a custom endpoint by name
+     * @param {string} name
+     */
+    function removeEndpoint(name) {
+        customEndpoints = customEndpoints.filter(e => e.name !== name);
+        if (KeyManager.isUnlocked() && KeyManager.getKeys()['custom:' + name]) {
+            KeyManager.setKey('custom:' + name, '')
+                .then(() => ApiService.setApiKeys(KeyManager.getKeys()))
+                .catch(err => console.error('Failed to remove endpoint key:', err));
+        }
+        Utils.saveToStorage('chat_endpoints', customEndpoints);
+        applyCustomEndpoints();
+        renderEndpointList();
+    }
+
+    /**
+     * Gets the price of a model
+     * @param {string} model - The model id
+     * @returns {{input:number, output:number}|null} - USD per million tokens, or null if unknown
+     */
+    function getModelPricing(model) {
+        return pricingOverrides[model] || DEFAULT_PRICING[model] || null;
+    }
+
+    /**
+     * Calculates the cost of one request
+     * @param {string} model - The model id
+     * @param {Object} usage - {promptTokens, completionTokens}
+     * @returns {number|null} - Cost in USD, or null if the model has no price
+     */
+    function calculateCost(model, usage) {
+        const price = getModelPricing(model);
+        if (!price || !usage) return null;
+        return ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+    }
+
+    /**
+     * Renders one row of price inputs per model
+     */
+    function renderPricingTable() {
+        const table = document.getElementById('pricing-table');
+        if (!table) return;
+        table.innerHTML = '';
+        ApiService.listModels().forEach(model => {
+            const price = getModelPricing(model.id);
+            const row = document.createElement('tr');
+            row.dataset.model = model.id;
+            row.innerHTML = `<td>${Utils.escapeHtml(model.label)}</td>
+                <td><input type="number" min="0" step="0.01" class="settings-modal__input" data-field="input" value="${price ? price.input : ''}" aria-label="Input price"></td>
+                <td><input type="number" min="0" step="0.01" class="settings-modal__input" data-field="output" value="${price ? price.output : ''}" aria-label="Output price"></td>`;
+            table.appendChild(row);
+        });
+    }
+
+    /**
+     * Reads the pricing table and stores prices that differ from the defaults
+     */
+    function savePricingTable() {
+        const table = document.getElementById('pricing-table');
+        if (!table) return;
+        const overrides = {};
+        table.querySelectorAll('tr').forEach(row => {
+            const input = parseFloat(row.querySelector('[data-field="input"]').value);
+            const output = parseFloat(row.querySelector('[data-field="output"]').value);
+            if (!(input >= 0) || !(output >= 0)) return;
+            const fallback = DEFAULT_PRICING[row.dataset.model];
+            if (!fallback || fallback.input !== input || fallback.output !== output) {
+                overrides[row.dataset.model] = { input, output };
+            }
+        });
+        pricingOverrides = overrides;
+        Utils.saveToStorage('chat_pricing', pricingOverrides);
+    }
+
+    // Helper: Reads a budget field; blank or invalid means no limit
+    function readBudget(id) {
+        const value = parseFloat(document.getElementById(id).value);
+        return value > 0 ? value : null;
+    }
+
+    /**
+     * Fills the budget fields from the current settings
+     */
+    function showBudgets() {
+        document.getElementById('daily-budget').value = settings.dailyBudget || '';
+        document.getElementById('conversation-budget').value = settings.conversationBudget || '';
+        document.getElementById('budget-action').value = settings.budgetAction || 'warn';
+    }
+
+    /**
+     * Gets the saved generation parameters of a model
+     * @param {string} model - The model id
+     * @returns {Object} - {temperature, topP, maxTokens, stopSequences, seed, presencePenalty, frequencyPenalty}; unset ones omitted
+     */
+    function getModelParams(model) {
+        return { ...(modelParams[model] || {}) };
+    }
+
+    /**
+     * Reads the generation parameter fields
+     * @returns {Object} - The parameters that were filled in
+     */
+    function readParamFields() {
+        const params = {};
+        Object.entries(PARAM_FIELDS).forEach(([name, id]) => {
+            const value = parseFloat(document.getElementById(id).value);
+            if (!Number.isNaN(value)) {
+                params[name] = (name === 'maxTokens' || name === 'seed') ? Math.round(value) : value;
+            }
+        });
+        const stops = document.getElementById('param-stop').value.split('|').filter(Boolean);
+        if (stops.length) params.stopSequences = stops;
+        return params;
+    }
+
+    /**
+     * Fills the generation parameter fields
+     * @param {Object} params - The parameters to show
+     */
+    function showParamFields(params) {
+        Object.entries(PARAM_FIELDS).forEach(([name, id]) => {
+            document.getElementById(id).value = params[name] !== undefined ? params[name] : '';
+        });
+        document.getElementById('param-stop').value = (params.stopSequences || []).join('|');
+    }
+
+    /**
+     * Shows the parameters for the current scope: the conversation override,
+     * or the saved parameters of the model selected in the dropdown
+     */
+    function showParams() {
+        const scope = document.getElementById('param-scope').value;
+        const note = document.getElementById('param-note');
+        if (scope === 'conversation') {
+            paramsModel = null;
+            showParamFields(conversationDraft || ChatController.getConversationParams() || getModelParams(document.getElementById('model-select').value));
+            conversationShown = JSON.stringify(readParamFields());
+            note.textContent = 'Used on top of the model parameters until the chat is cleared.';
+        } else {
+            paramsModel = document.getElementById('model-select').value;
+            showParamFields(modelParams[paramsModel] || {});
+            note.textContent = 'Not every provider supports every parameter; unsupported ones are not sent.';
+        }
+    }
+
+    /**
+     * Keeps unsaved edits for the model or conversation that was shown, then shows the new target
+     */
+    function handleParamTargetChange() {
+        if (paramsModel) {
+            storeModelParams(paramsModel, readParamFields());
+        } else {
+            keepConversationEdits();
+        }
+        showParams();
+    }
+
+    // Helper: Remembers the conversation fields if the user changed them
+    function keepConversationEdits() {
+        const params = readParamFields();
+        if (JSON.stringify(params) !== conversationShown) conversationDraft = params;
+    }
+
+    // Helper: Sets (or clears, when empty) a model's parameters in memory
+    function storeModelParams(model, params) {
+        if (Object.keys(params).length) {
+            modelParams[model] = params;
+        } else {
+            delete modelParams[model];
+        }
+    }
+
+    /**
+     * Saves the parameter fields to the model or as the conversation override, along with
+     * edits made to the other scope before switching. The conversation override only
+     * changes when it is saved from its own scope or was edited there
+     */
+    function saveParams() {
+        const params = readParamFields();
+        if (document.getElementById('param-scope').value === 'conversation') {
+            conversationDraft = params;
+        } else {
+            storeModelParams(paramsModel, params);
+        }
+        if (conversationDraft) {
+            ChatController.setConversationParams(Object.keys(conversationDraft).length ? conversationDraft : null);
+            conversationDraft = null;
+        }
+        Utils.saveToStorage('chat_model_params', modelParams);
+    }
+
+    /**
+     * Gets the fallback chain of a model
+     * @param {string} model - The model id
+     * @returns {Array<string>} - Model ids to try, in order
+     */
+    function getFallbackChain(model) {
+        return [...(fallbackChains[model] || [])];
+    }
+
+    /**
+     * Shows the fallback chain of the model selected in the dropdown
+     */
+    function showFallbackChain() {
+        fallbackModel = document.getElementById('model-select').value;
+        document.getElementById('fallback-chain').value = getFallbackChain(fallbackModel).join(', ');
+    }
+
+    /**
+     * Keeps the chain typed for the previously selected model, then shows the new one
+     */
+    function handleFallbackTargetChange() {
+        if (fallbackModel) storeFallbackChain(fallbackModel);
+        showFallbackChain();
+    }
+
+    /**
+     * Reads the fallback field into the chain of a model, dropping unknown ids
+     * @param {string} model - The model the field belongs to
+     * @returns {Array<string>} - The ids that were dropped
+     */
+    function storeFallbackChain(model) {
+        const ids = document.getElementById('fallback-chain').value
+            .split(',')
+            .map(id => id.trim())
+            .filter(id => id && id !== model);
+        const unknown = ids.filter(id => !ApiService.getProvider(id));
+        const chain = ids.filter(id => ApiService.getProvider(id));
+        if (chain.length) {
+            fallbackChains[model] = chain;
+        } else {
+            delete fallbackChains[model];
+        }
+        return unknown;
+    }
+
     /**
      * Shows the settings modal
      */
@@ -60,6 +678,47 @@ const SettingsController = (function() {
         document.getElementById('show-thinking-toggle').checked = settings.showThinking;
         document.getElementById('model-select').value = settings.selectedModel;
         document.getElementById('dark-mode-toggle').checked = settings.darkMode;
+        showApiKeys();
+        showBudgets();
+        renderPricingTable();
+        modelParams = Utils.getFromStorage('chat_model_params') || {}; // drop edits that were never saved
+        conversationDraft = null;
+        document.getElementById('param-scope').value = ChatController.getConversationParams() ? 'conversation' : 'model';
+        showParams();
+        fallbackChains = Utils.getFromStorage('chat_fallbacks') || {};
+        showFallbackChain();
+        renderProxyList();
+        showToolCacheInfo();
+        showMockScriptInfo();
+    }
+
+    /**
+     * Fills the API key fields from the unlocked vault
+     */
+    function showApiKeys() {
+        const unlocked = KeyManager.isUnlocked();
+        const keys = KeyManager.getKeys();
+        Object.entries(API_KEY_FIELDS).forEach(([provider, fieldId]) => {
+            const field = document.getElementById(fieldId);
+            field.value = keys[provider] || '';
+            field.disabled = !unlocked;
+        });
+        document.getElementById('api-keys-error').textContent = unlocked ? '' : 'Unlock your keys to edit them.';
+    }
+
+    /**
+     * Stores the API key fields that changed and passes the keys to ApiService
+     */
+    async function saveApiKeys() {
+        if (!KeyManager.isUnlocked()) return;
+        const keys = KeyManager.getKeys();
+        for (const [provider, fieldId] of Object.entries(API_KEY_FIELDS)) {
+            const value = document.getElementById(fieldId).value.trim();
+            if (value !== (keys[provider] || '')) {
+                await KeyManager.setKey(provider, value);
+            }
+        }
+        ApiService.setApiKeys(KeyManager.getKeys());
     }
 
     /**
@@ -87,8 +746,18 @@ const SettingsController = (function() {
             enableCoT: cotEnabled,
             showThinking: showThinkingEnabled,
             selectedModel: selectedModelValue,
-            darkMode: darkModeEnabled
+            darkMode: darkModeEnabled,
+            dailyBudget: readBudget('daily-budget'),
+            conversationBudget: readBudget('conversation-budget'),
+            budgetAction: document.getElementById('budget-action').value
         };
+        savePricingTable();
+        saveParams();
+        const unknownFallbacks = storeFallbackChain(fallbackModel);
+        Utils.saveToStorage('chat_fallbacks', fallbackChains);
+        if (unknownFallbacks.length) {
+            UIController.showError(`Unknown fallback models ignored: ${unknownFallbacks.join(', ')}`);
+        }
         
         // Update light/dark mode class
         if (darkModeEnabled) {
@@ -97,6 +766,12 @@ const SettingsController = (function() {
             document.body.classList.add('light-mode');
         }
         
+        // Encrypt changed API keys into the vault
+        saveApiKeys().catch(err => {
+            console.error('Failed to save API keys:', err);
+            UIController.showError(`Failed to save API keys: ${err.message}`);
+        });
+        
         // Update the chat controller settings
         ChatController.updateSettings(settings);
         
@@ -111,6 +786,21 @@ const SettingsController = (function() {
      * Initializes settings from cookies or defaults
      */
     function initSettings() {
+        customEndpoints = Utils.getFromStorage('chat_endpoints') || [];
+        applyCustomEndpoints();
+        pricingOverrides = Utils.getFromStorage('chat_pricing') || {};
+        modelParams = Utils.getFromStorage('chat_model_params') || {};
+        fallbackChains = Utils.getFromStorage('chat_fallbacks') || {};
+        ProxyManager.load();
+        const mockScript = Utils.getFromStorage('chat_mock_script');
+        if (mockScript) {
+            try {
+                MockProvider.load(mockScript);
+            } catch (err) {
+                console.warn('Ignoring saved mock script:', err);
+            }
+        }
+
         const savedSettings = Utils.getSettingsFromCookie();
         if (savedSettings) {
             settings = {
@@ -119,6 +809,9 @@ const SettingsController = (function() {
                 showThinking: true,
                 selectedModel: 'gpt-4.1-mini',
                 darkMode: true,
+                dailyBudget: null,
+                conversationBudget: null,
+                budgetAction: 'warn',
                 ...savedSettings
             };
         } else {
@@ -127,7 +820,10 @@ const SettingsController = (function() {
                 enableCoT: true,
                 showThinking: true,
                 selectedModel: 'gpt-4.1-mini',
-                darkMode: true
+                darkMode: true,
+                dailyBudget: null,
+                conversationBudget: null,
+                budgetAction: 'warn'
             };
         }
         
@@ -166,6 +862,10 @@ const SettingsController = (function() {
         init: initSettings,
         showSettingsModal,
         hideSettingsModal,
-        getSettings
+        getSettings,
+        getModelPricing,
+        calculateCost,
+        getModelParams,
+        getFallbackChain
     };
 })(); 
\ No newline at end of file
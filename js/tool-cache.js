@@ -0,0 +1,169 @@
+/**
+ * ./js/tool-cache.js
+ * Tool Cache Module - Keeps web search results and extracted pages in IndexedDB
+ * Entries expire after a per-type TTL, and the least recently used ones are evicted
+ * when the cache grows past its size cap. If IndexedDB is unavailable every lookup
+ * is a miss, so the tools still work, just without caching.
+ */
+const ToolCache = (function() {
+    'use strict';
+
+    const DB_NAME = 'ai-chat-tool-cache';
+    const DB_VERSION = 1;
+    const STORE = 'entries';
+    const HOUR = 60 * 60 * 1000;
+    // How long each type of entry stays fresh
+    const TTL_MS = {
+        search: 6 * HOUR,
+        page: 72 * HOUR
+    };
+    const MAX_BYTES = 50 * 1024 * 1024;
+
+    // Private state
+    let dbPromise = null;
+
+    /**
+     * Opens the cache database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function getDb() {
+        if (!dbPromise) {
+            dbPromise = Utils.openDatabase(DB_NAME, DB_VERSION, db => {
+                const store = db.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('lastUsed', 'lastUsed');
+            }).catch(err => {
+                dbPromise = null;
+                throw err;
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Gets a fresh cached value
+     * @param {string} type - 'search' or 'page'
+     * @param {string} key - Identifies the entry within its type
+     * @returns {Promise<{value:*, storedAt:number}|null>} - null on a miss or an expired entry
+     */
+    async function get(type, key) {
+        try {
+            const db = await getDb();
+            const id = `${type}:${key}`;
+            const record = await Utils.idbRequest(db, STORE, 'readonly', store => store.get(id));
+            if (!record) return null;
+            if (Date.now() - record.storedAt > TTL_MS[type]) {
+                await Utils.idbRequest(db, STORE, 'readwrite', store => store.delete(id));
+                return null;
+            }
+            record.lastUsed = Date.now();
+            await Utils.idbRequest(db, STORE, 'readwrite', store => store.put(record));
+            return { value: record.value, storedAt: record.storedAt };
+        } catch (err) {
+            console.warn('Tool cache read failed:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Stores a value, then evicts old entries if the cache is over its size cap
+     * @param {string} type - 'search' or 'page'
+     * @param {string} key
+     * @param {*} value - Anything structured clone can copy
+     */
+    async function put(type, key, value) {
+        if (!TTL_MS[type]) throw new Error(`Unknown cache type "${type}"`);
+        try {
+            const db = await getDb();
+            const now = Date.now();
+            const size = JSON.stringify(value).length * 2; // UTF-16, close enough for the cap
+            await Utils.idbRequest(db, STORE, 'readwrite', store => store.put({
+                key: `${type}:${key}`, type, value, size, storedAt: now, lastUsed: now
+            }));
+            await evict(db);
+        } catch (err) {
+            console.warn('Tool cache write failed:', err);
+        }
+    }
+
+    /**
+     * Drops expired entries, then the least recently used ones until the cache fits
+     * @param {IDBDatabase} db
+     */
+    function evict(db) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, 'readwrite');
+            const store = transaction.objectStore(STORE);
+            const now = Date.now();
+            const live = [];
+            let total = 0;
+            // Oldest use first
+            store.index('lastUsed').openCursor().onsuccess = event => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    const record = cursor.value;
+                    if (now - record.storedAt > TTL_MS[record.type]) {
+                        cursor.delete();
+                    } else {
+                        live.push({ key: record.key, size: record.size });
+                        total += record.size;
+                    }
+                    cursor.continue();
+                    return;
+                }
+                for (const record of live) {
+                    if (total <= MAX_BYTES) break;
+                    store.delete(record.key);
+                    total -= record.size;
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Counts the cached entries and their approximate size
+     * @returns {Promise<{entries:number, bytes:number}>}
+     */
+    async function getStats() {
+        try {
+            const db = await getDb();
+            const stats = { entries: 0, bytes: 0 };
+            await Utils.idbRequest(db, STORE, 'readonly', store => {
+                const request = store.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    stats.entries += 1;
+                    stats.bytes += cursor.value.size;
+                    cursor.continue();
+                };
+                return request;
+            });
+            return stats;
+        } catch (err) {
+            console.warn('Tool cache unavailable:', err);
+            return { entries: 0, bytes: 0 };
+        }
+    }
+
+    /**
+     * Deletes every cached entry
+     */
+    async function clear() {
+        try {
+            const db = await getDb();
+            await Utils.idbRequest(db, STORE, 'readwrite', store => store.clear());
+        } catch (err) {
+            console.warn('Tool cache clear failed:', err);
+        }
+    }
+
+    // Public API
+    return {
+        get,
+        put,
+        getStats,
+        clear
+    };
+})();
@@ -1,58 +1,272 @@
 /**
  * ./js/tools-service.js
- * Tools Service Module - Provides webSearch and readUrl functions for the AI agent.
+ * Tools Service Module - Provides webSearch and readUrl functions for the AI agent,
+ * and the registry of tools the model can call.
  */
 const ToolsService = (function() {
     'use strict';
 
-    // Proxy list for bypassing CORS
-    const proxies = [
-      { name: 'CodeTabs',          formatUrl: url => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`,                      parseResponse: async res => res.text() },
-      { name: 'AllOrigins (win)',  formatUrl: url => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`,                parseResponse: async res => res.text() },
-      { name: 'AllOrigins (cf)',   formatUrl: url => `https://api.allorigins.cf/raw?url=${encodeURIComponent(url)}`,                parseResponse: async res => res.text() },
-      { name: 'AllOrigins (pro)',  formatUrl: url => `https://api.allorigins.pro/raw?url=${encodeURIComponent(url)}`,               parseResponse: async res => res.text() },
-      { name: 'AllOrigins (app)',  formatUrl: url => `https://allorigins.appspot.com/raw?url=${encodeURIComponent(url)}`,            parseResponse: async res => res.text() },
-      { name: 'CORS Anywhere',     formatUrl: url => `https://cors-anywhere.herokuapp.com/${url}`,                                parseResponse: async res => res.text() },
-      { name: 'ThingProxy FB',     formatUrl: url => `https://thingproxy.freeboard.io/fetch/${url}`,                       parseResponse: async res => res.text() },
-      { name: 'ThingProxy PW',     formatUrl: url => `https://thingproxy.pw/fetch/${url}`,                                 parseResponse: async res => res.text() },
-      { name: 'CORSProxy.io',      formatUrl: url => `https://corsproxy.io/?${url}`,                                     parseResponse: async res => res.text() },
-      { name: 'CORS.bridged.cc',   formatUrl: url => `https://cors.bridged.cc/${url}`,                                    parseResponse: async res => res.text() },
-      { name: 'YACDN',             formatUrl: url => `https://yacdn.org/proxy/${url}`,                                    parseResponse: async res => res.text() },
-      { name: 'JSONP afeld',       formatUrl: url => `https://jsonp.afeld.me/?url=${encodeURIComponent(url)}`,          parseResponse: async res => (await res.json()).contents },
-      { name: 'CORS Proxy HTML',   formatUrl: url => `https://cors-proxy.htmldriven.com/?url=${encodeURIComponent(url)}`, parseResponse: async res => res.text() },
-      { name: 'AllOrigins .net',   formatUrl: url => `https://api.allorigins.net/raw?url=${encodeURIComponent(url)}`,               parseResponse: async res => res.text() },
-      { name: 'AllOrigins .io',    formatUrl: url => `https://api.allorigins.io/raw?url=${encodeURIComponent(url)}`,                parseResponse: async res => res.text() },
-      { name: 'AllOrigins .eu',    formatUrl: url => `https://api.allorigins.eu/raw?url=${encodeURIComponent(url)}`,                parseResponse: async res => res.text() },
-      { name: 'ProxyCORS',         formatUrl: url => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`,           parseResponse: async res => res.text() },
-      { name: 'RainDrop CORS',     formatUrl: url => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`,                parseResponse: async res => res.text() },
-      { name: 'DirectNoCORS',      formatUrl: url => url,                                                                parseResponse: async res => {
-                                                                                                          const text = await res.text().catch(()=> '');
-                                                                                                          return text;
-                                                                                                        }, options: { mode: 'no-cors' } },
-      { name: 'FinalFallback',     formatUrl: url => url,                                                                parseResponse: async res => res.text() }
-    ];
-
-    // Proxy health tracking
-    const proxyHealth = new Map(proxies.map(p => [p.name, 1]));
-
-    function getFinalUrl(rawUrl) {
+    // Canned results keyed by tool then query/url ('*' matches anything); null uses the network
+    let fixtures = null;
+
+    /**
+     * Serves tool results from fixtures instead of the network (the mock model uses this)
+     * @param {Object|null} value - {web_search, read_url, instant_answer} maps, or null to go live
+     */
+    function setFixtures(value) {
+      fixtures = value;
+    }
+
+    // Helper: The fixture for a tool call, or undefined when fixtures are off for that tool
+    function getFixture(tool, key) {
+      const table = fixtures && fixtures[tool];
+      if (!table) return undefined;
+      const value = Object.prototype.hasOwnProperty.call(table, key) ? table[key] : table['*'];
+      if (value === undefined) throw new Error(`No ${tool} fixture for "${key}"`);
+      return value;
+    }
+
+    // Tools the model can call, by name, in registration order
+    const registry = new Map();
+
+    // Engines the "meta" engine queries in parallel
+    const META_ENGINES = ['duckduckgo', 'google', 'bing'];
+    // Reciprocal rank fusion constant; larger values flatten the gap between top and lower ranks
+    const RRF_K = 60;
+    // Query parameters that only track clicks and never change the page
+    const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|igshid|srsltid|ref_src|_hsenc|_hsmi)$/i;
+    const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+    /**
+     * Registers a tool the model can call; a tool with the same name is replaced.
+     * The tool list and examples in the system prompt are generated from these.
+     * @param {Object} tool
+     * @param {string} tool.name - Letters, digits, _ and -, at most 64 characters
+     * @param {string} tool.description - What the tool does and returns, for the model
+     * @param {Object} tool.parameters - JSON Schema (type "object") for the arguments
+     * @param {Function} tool.handler - async (args, {signal}) => string shown to the model as the result
+     * @param {Array<{question:string, arguments:Object}>} [tool.examples] - Sample calls for the prompt
+     * @param {string} [tool.instructions] - Extra guidance added to the prompt's instructions
+     */
+    function registerTool({ name, description, parameters, handler, examples = [], instructions = '' }) {
+      if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid tool name "${name}": use letters, digits, _ and - (at most 64)`);
+      }
+      if (typeof description !== 'string' || !description.trim()) {
+        throw new Error(`Tool "${name}" needs a description`);
+      }
+      const schemaProblem = SchemaValidator.checkSchema(parameters);
+      if (schemaProblem || parameters.type !== 'object') {
+        throw new Error(`Tool "${name}" parameters must be a JSON Schema of type "object"${schemaProblem ? `: ${schemaProblem}` : ''}`);
+      }
+      if (typeof handler !== 'function') {
+        throw new Error(`Tool "${name}" needs a handler function`);
+      }
+      examples.forEach(example => {
+        const errors = SchemaValidator.validate(example.arguments, parameters, 'arguments');
+        if (errors.length) throw new Error(`Tool "${name}" example does not match its parameters: ${errors.join('; ')}`);
+      });
+      registry.set(name, { name, description, parameters, handler, examples, instructions });
+    }
+
+    /**
+     * Removes a registered tool
+     * @param {string} name
+     * @returns {boolean} - Whether the tool was registered
+     */
+    function unregisterTool(name) {
+      return registry.delete(name);
+    }
+
+    /**
+     * Gets a registered tool
+     * @param {string} name
+     * @returns {Object|null} - {name, description, parameters, handler, examples, instructions}
+     */
+    function getTool(name) {
+      return registry.get(name) || null;
+    }
+
+    /**
+     * Lists the registered tools
+     * @returns {Array<Object>}
+     */
+    function listTools() {
+      return [...registry.values()];
+    }
+
+    /**
+     * Checks tool call arguments against the tool's parameter schema
+     * @param {string} name - The tool name
+     * @param {*} args - The arguments the model sent
+     * @returns {Array<string>} - Problems; empty if the call is valid
+     */
+    function validateArguments(name, args) {
+      const tool = registry.get(name);
+      if (!tool) return [`Unknown tool "${name}"`];
+      return SchemaValidator.validate(args, tool.parameters, 'arguments');
+    }
+
+    // Helper: The destination of a search engine's click-tracking redirect, or null
+    function unwrapRedirect(parsed) {
+      const params = parsed.searchParams;
+      // DuckDuckGo: //duckduckgo.com/l/?uddg=<url>
+      if (parsed.pathname === '/l/' && /^https?:/i.test(params.get('uddg') || '')) return params.get('uddg');
+      // Google: /url?q=<url> (or url=<url>)
+      if (parsed.pathname === '/url' && /^https?:/i.test(params.get('q') || params.get('url') || '')) {
+        return params.get('q') || params.get('url');
+      }
+      // Bing: /ck/a?u=a1<base64url of the url>
+      if (parsed.pathname === '/ck/a' && /^a1/.test(params.get('u') || '')) {
+        try {
+          const decoded = atob(params.get('u').slice(2).replace(/-/g, '+').replace(/_/g, '/'));
+          if (/^https?:\/\//i.test(decoded)) return decoded;
+        } catch {}
+      }
+      return null;
+    }
+
+    /**
+     * Cleans a search result URL: follows engine redirects and drops tracking parameters and the fragment
+     * @param {string} rawUrl
+     * @returns {string}
+     */
+    function normalizeResultUrl(rawUrl) {
       try {
-        const parsed = new URL(rawUrl);
-        if (parsed.pathname === '/l/' && parsed.searchParams.has('uddg')) {
-          return decodeURIComponent(parsed.searchParams.get('uddg'));
-        }
-      } catch {}
-      return rawUrl;
+        // Scrapes can hold protocol-relative or relative links, which need a base
+        let parsed = new URL(rawUrl, 'https://localhost/');
+        const target = unwrapRedirect(parsed);
+        if (target) parsed = new URL(target);
+        [...parsed.searchParams.keys()].forEach(name => {
+          if (TRACKING_PARAMS.test(name)) parsed.searchParams.delete(name);
+        });
+        parsed.hash = '';
+        return parsed.toString();
+      } catch {
+        return rawUrl;
+      }
+    }
+
+    // Helper: The identity of a normalized URL, ignoring scheme, "www." and a trailing slash
+    function dedupeKey(url) {
+      try {
+        const parsed = new URL(url);
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+      } catch {
+        return url;
+      }
+    }
+
+    /**
+     * Merges ranked result lists with reciprocal rank fusion: each result scores
+     * the sum of 1 / (RRF_K + rank) over the lists that contain it. Duplicate URLs
+     * are merged and tagged with every engine that returned them.
+     * @param {Array<{engine:string, results:Array<Object>}>} rankings
+     * @returns {Array<{title:string, url:string, snippet:string, engines:Array<string>}>}
+     */
+    function fuseResults(rankings) {
+      const merged = new Map();
+      rankings.forEach(({ engine, results }) => {
+        const seen = new Set();
+        results.forEach((result, index) => {
+          const key = dedupeKey(result.url);
+          // An engine that lists a page twice only counts its best rank
+          if (seen.has(key)) return;
+          seen.add(key);
+          const score = 1 / (RRF_K + index + 1);
+          const entry = merged.get(key);
+          if (!entry) {
+            merged.set(key, { result: { ...result, engines: [engine] }, score, best: score });
+            return;
+          }
+          entry.score += score;
+          entry.result.engines.push(engine);
+          // Show the title and snippet from the engine that ranked it highest
+          if (score > entry.best) {
+            entry.best = score;
+            entry.result = { ...result, snippet: result.snippet || entry.result.snippet, engines: entry.result.engines };
+          } else if (!entry.result.snippet) {
+            entry.result.snippet = result.snippet;
+          }
+        });
+      });
+      return [...merged.values()].sort((a, b) => b.score - a.score).map(entry => entry.result);
+    }
+
+    /**
+     * Fetches a URL and records the request in the network log
+     * @param {string} source - Proxy or service name shown in the inspector
+     * @param {string} url - The URL to fetch
+     * @param {Object} [options] - fetch options
+     * @param {string} [target] - The page a proxy is asked to fetch
+     * @returns {Promise<Response>}
+     */
+    async function loggedFetch(source, url, options = {}, target) {
+      const entry = NetworkLog.begin({ kind: 'tool', source, url, method: options.method, target });
+      try {
+        const response = await fetch(url, options);
+        NetworkLog.markResponse(entry, response);
+        NetworkLog.finish(entry, response.ok ? {} : { error: new Error(`HTTP ${response.status}`) });
+        return response;
+      } catch (err) {
+        NetworkLog.finish(entry, { error: err });
+        throw err;
+      }
     }
 
     /**
      * Performs a search via the specified engine (duckduckgo, google, bing), streams results as found.
+     * The 'meta' engine queries all three in parallel and merges their rankings with
+     * fuseResults; its results carry the engines that returned them.
+     * Results are served from ToolCache while fresh.
      * @param {string} query
      * @param {function} onResult - Callback for each result as it's found
-     * @param {string} [engine] - Search engine: 'duckduckgo', 'google', or 'bing'
+     * @param {string} [engine] - Search engine: 'duckduckgo', 'google', 'bing' or 'meta'
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the search
+     * @param {boolean} [options.refresh] - Skip the cache and search again
+     * @returns {Promise<Array<{title:string, url:string, snippet:string, engines:(Array<string>|undefined)}>>}
+     */
+    async function webSearch(query, onResult, engine = 'duckduckgo', { signal, refresh = false } = {}) {
+      const fixture = getFixture('web_search', query);
+      if (fixture !== undefined) {
+        if (onResult) fixture.forEach(result => onResult(result));
+        return fixture;
+      }
+      let results;
+      if (engine === 'meta') {
+        const settled = await Promise.all(META_ENGINES.map(name =>
+          searchEngine(query, name, { signal, refresh })
+            .then(list => ({ engine: name, results: list }))
+            .catch(err => ({ engine: name, error: err }))
+        ));
+        Utils.throwIfAborted(signal);
+        const rankings = settled.filter(ranking => ranking.results);
+        if (!rankings.length) {
+          throw new Error(`All search engines failed (${settled.map(r => `${r.engine}: ${r.error.message}`).join('; ')})`);
+        }
+        results = fuseResults(rankings);
+      } else {
+        results = await searchEngine(query, engine, { signal, refresh });
+      }
+      if (onResult) results.forEach(result => onResult(result));
+      return results;
+    }
+
+    /**
+     * Searches one engine through the proxies, or serves its results from ToolCache
+     * @param {string} query
+     * @param {string} engine - 'duckduckgo', 'google' or 'bing'
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal]
+     * @param {boolean} [options.refresh] - Skip the cache
      * @returns {Promise<Array<{title:string,url:string,snippet:string}>>}
      */
-    async function webSearch(query, onResult, engine = 'duckduckgo') {
+    async function searchEngine(query, engine, { signal, refresh }) {
+      const cacheKey = `${engine}:${query.trim().toLowerCase()}`;
+      const cached = refresh ? null : await ToolCache.get('search', cacheKey);
+      if (cached) return cached.value;
       let searchUrl, parseResults;
       if (engine === 'google') {
         searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}&hl=en`;
@@ -65,7 +279,7 @@ const ToolsService = (function() {
             const anchor = item.querySelector('a');
             const titleElem = item.querySelector('h3');
             if (!anchor || !titleElem) return;
-            const href = anchor.href;
+            const href = normalizeResultUrl(anchor.href);
             const title = titleElem.textContent.trim();
             const snippetElem = item.querySelector('.VwiC3b, .IsZvec');
             const snippet = snippetElem ? snippetElem.textContent.trim() : '';
@@ -84,7 +298,7 @@ const ToolsService = (function() {
             const anchor = item.querySelector('a');
             const titleElem = item.querySelector('h2');
             if (!anchor || !titleElem) return;
-            const href = anchor.href;
+            const href = normalizeResultUrl(anchor.href);
             const title = titleElem.textContent.trim();
             const snippetElem = item.querySelector('p');
             const snippet = snippetElem ? snippetElem.textContent.trim() : '';
@@ -105,7 +319,7 @@ const ToolsService = (function() {
           items.forEach(item => {
             const anchor = item.querySelector('a.result__a');
             if (!anchor) return;
-            const href = getFinalUrl(anchor.href);
+            const href = normalizeResultUrl(anchor.href);
             const title = anchor.textContent.trim();
             const snippetElem = item.querySelector('a.result__snippet, div.result__snippet');
             const snippet = snippetElem ? snippetElem.textContent.trim() : '';
@@ -114,78 +328,118 @@ const ToolsService = (function() {
           return results;
         };
       }
-      // Sort proxies by health score
-      const sortedProxies = proxies.slice().sort((a, b) => (proxyHealth.get(b.name) || 0) - (proxyHealth.get(a.name) || 0));
-      let partialResults = [];
-      for (const proxy of sortedProxies) {
+      // Healthiest proxies first
+      const failures = [];
+      for (const proxy of ProxyManager.getProxies(searchUrl)) {
+        Utils.throwIfAborted(signal);
+        const started = performance.now();
         try {
-          const response = await fetch(proxy.formatUrl(searchUrl));
+          const response = await loggedFetch(proxy.name, ProxyManager.formatUrl(proxy, searchUrl), ProxyManager.requestOptions(proxy, { signal }), searchUrl);
           if (!response.ok) throw new Error(`HTTP ${response.status}`);
-          const htmlString = await proxy.parseResponse(response);
-          const results = parseResults(htmlString);
+          const htmlString = await response.text();
+          if (!htmlString) throw new Error('Empty body');
+          // Only web links; a scraped javascript: or data: href must never reach a link
+          const results = parseResults(htmlString).filter(result => /^https?:\/\//i.test(result.url));
           if (!results.length) throw new Error('No results');
-          results.forEach(result => { if (onResult) onResult(result); });
-          proxyHealth.set(proxy.name, (proxyHealth.get(proxy.name) || 1) + 2); // reward
+          ProxyManager.recordResult(proxy.name, true, performance.now() - started);
+          await ToolCache.put('search', cacheKey, results);
           return results;
         } catch (err) {
-          proxyHealth.set(proxy.name, (proxyHealth.get(proxy.name) || 1) - 2); // penalize
-          if (partialResults.length) {
-            if (onResult) partialResults.forEach(r => onResult(r));
-            return partialResults;
-          }
+          if (Utils.isAbortError(err)) throw err;
+          ProxyManager.recordResult(proxy.name, false);
+          failures.push(`${proxy.name}: ${err.message}`);
         }
       }
-      throw new Error('All proxies failed');
+      throw allProxiesFailed(failures);
+    }
+
+    // Helper: The error when no proxy could fetch a URL, with each proxy's reason
+    function allProxiesFailed(failures) {
+      if (!failures.length) return new Error('No enabled proxy may fetch this URL. Check the proxy settings.');
+      return new Error(`All proxies failed (${failures.join('; ')})`);
     }
 
     /**
-     * Fetches and returns text content from a URL via proxies.
+     * Fetches a page via proxies and extracts its main article as Markdown.
+     * PDFs (by content type or magic bytes) are read page by page instead; their
+     * results also carry pageCount and the page offsets in content. The outline
+     * lists the sections (from ContentExtractor.outline) for read_section.
+     * Pages are served from ToolCache while fresh; those carry cachedAt.
      * @param {string} url
-     * @returns {Promise<string>}
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the read
+     * @param {boolean} [options.refresh] - Skip the cache and fetch again
+     * @returns {Promise<{url:string, content:string, title:(string|null), byline:(string|null), publishedAt:(string|null), canonicalUrl:string, wordCount:number, outline:Array<{id:string, level:number, title:string, start:number, end:number}>, pageCount:(number|undefined), pages:(Array<{page:number, start:number, end:number}>|undefined), cachedAt:(string|undefined)}>}
      */
-    async function readUrl(url) {
-      for (const proxy of proxies) {
+    async function readUrl(url, { signal, refresh = false } = {}) {
+      const fixture = getFixture('read_url', url);
+      if (fixture !== undefined) {
+        // Fixtures may be plain text or a page object
+        const page = typeof fixture === 'string' ? { content: fixture } : fixture;
+        return {
+          url, title: null, byline: null, publishedAt: null, canonicalUrl: url,
+          ...page,
+          wordCount: page.wordCount ?? ContentExtractor.countWords(page.content || ''),
+          outline: page.outline ?? ContentExtractor.outline(page.content || '')
+        };
+      }
+      const cached = refresh ? null : await ToolCache.get('page', url);
+      if (cached) return { ...cached.value, cachedAt: new Date(cached.storedAt).toISOString() };
+      // Healthiest proxies first
+      const failures = [];
+      for (const proxy of ProxyManager.getProxies(url)) {
+        Utils.throwIfAborted(signal);
+        const started = performance.now();
+        let bytes;
+        let contentType;
         try {
-          const response = await fetch(proxy.formatUrl(url));
+          const response = await loggedFetch(proxy.name, ProxyManager.formatUrl(proxy, url), ProxyManager.requestOptions(proxy, { signal }), url);
           if (!response.ok) throw new Error(`HTTP ${response.status}`);
-          const htmlString = await proxy.parseResponse(response);
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(htmlString, 'text/html');
-          // Remove <script> and <style> elements
-          doc.querySelectorAll('script, style').forEach(el => el.remove());
-          // Extract text only from p, h1, h2, and h3 tags
-          const selectors = ['p', 'h1', 'h2', 'h3'];
-          const texts = [];
-          selectors.forEach(tag => {
-            doc.querySelectorAll(tag).forEach(el => {
-              const t = el.textContent.trim();
-              if (t) texts.push(t);
-            });
-          });
-          const resultText = texts.join('\n\n').trim();
-          return resultText;
+          bytes = await response.arrayBuffer();
+          if (!bytes.byteLength) throw new Error('Empty body');
+          contentType = response.headers.get('Content-Type');
         } catch (err) {
+          if (Utils.isAbortError(err)) throw err;
           console.warn(`Proxy ${proxy.name} failed: ${err.message}`);
+          ProxyManager.recordResult(proxy.name, false);
+          failures.push(`${proxy.name}: ${err.message}`);
+          continue;
         }
+        ProxyManager.recordResult(proxy.name, true, performance.now() - started);
+        // A PDF that fails to parse will not parse through another proxy either
+        const page = PdfExtractor.isPdf(contentType, bytes)
+          ? { url, ...await PdfExtractor.extract(bytes, url, { signal }) }
+          : { url, ...ContentExtractor.extract(new TextDecoder().decode(bytes), url) };
+        await ToolCache.put('page', url, page);
+        return page;
       }
-      throw new Error('All proxies failed');
+      throw allProxiesFailed(failures);
     }
 
     /**
      * Fetches Instant Answer from DuckDuckGo API.
      * @param {string} query - The search query.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<Object>} - The JSON response from DuckDuckGo Instant Answer API.
      */
-    async function instantAnswer(query) {
+    async function instantAnswer(query, { signal } = {}) {
+      const fixture = getFixture('instant_answer', query);
+      if (fixture !== undefined) return fixture;
       const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&pretty=1`;
       let response;
       // Try via CORS proxy first to avoid CORS issues
+      const entry = NetworkLog.begin({ kind: 'tool', source: 'CORS proxy rotation', url, target: url });
       try {
-        response = await Utils.fetchWithProxyRetry(url, { method: 'GET' });
+        response = await ProxyManager.fetchWithProxyRetry(url, { method: 'GET', signal });
+        NetworkLog.markResponse(entry, response);
+        NetworkLog.finish(entry);
       } catch (proxyErr) {
+        NetworkLog.finish(entry, { error: proxyErr });
+        if (Utils.isAbortError(proxyErr)) throw proxyErr;
         console.warn('Instant Answer proxy fetch failed, falling back to direct fetch:', proxyErr);
         // Fallback to direct fetch
-        response = await fetch(url);
+        response = await loggedFetch('Direct', url, { signal });
       }
       if (!response.ok) {
         const errText = await (response.text().catch(() => ''));    
@@ -194,5 +448,17 @@ const ToolsService = (function() {
       return response.json();
     }
 
-    return { webSearch, readUrl, instantAnswer };
-})(); 
\ No newline at end of file
+    // Public API
+    return {
+        webSearch,
+        readUrl,
+        instantAnswer,
+        setFixtures,
+        registerTool,
+        unregisterTool,
+        getTool,
+        listTools,
+        validateArguments
+    };
+})();
+ 
\ No newline at end of file
@@ -9,6 +9,13 @@ const UIController = (function() {
     // Private state
     let sendMessageCallback = null;
     let clearChatCallback = null;
+    let stopCallback = null;
+    let isBusy = false;
+    let countdownTimer = null;
+    // Images waiting to be sent with the next message ({name, mimeType, data, dataUrl})
+    let pendingImages = [];
+    const MAX_IMAGE_SIDE = 2048;          // larger images are scaled down before sending
+    const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
     
     // Deduplication and offset tracking
     const shownUrls = new Set();
@@ -28,7 +35,7 @@ const UIController = (function() {
         messageInput.addEventListener('keydown', function(event) {
             if (event.key === 'Enter' && !event.shiftKey) {
                 event.preventDefault();
-                if (sendMessageCallback) sendMessageCallback();
+                if (sendMessageCallback && !isBusy) sendMessageCallback();
             }
         });
         
@@ -38,6 +45,17 @@ const UIController = (function() {
             this.style.height = Math.min(this.scrollHeight, 200) + 'px';
         });
         
+        setupAttachmentHandlers(messageInput);
+
+        // Structured output: the schema panel stays open (and applies) until toggled off
+        document.getElementById('schema-button').addEventListener('click', function() {
+            const panel = document.getElementById('schema-panel');
+            panel.hidden = !panel.hidden;
+            this.setAttribute('aria-pressed', String(!panel.hidden));
+            this.classList.toggle('chat-app__attach-button--active', !panel.hidden);
+            if (!panel.hidden) document.getElementById('schema-input').focus();
+        });
+
         // Add global event delegation for thinking toggle buttons
         document.addEventListener('click', function(event) {
             if (event.target.classList.contains('toggle-thinking') || 
@@ -62,17 +80,260 @@ const UIController = (function() {
         showEmptyState();
     }
 
+    /**
+     * Wires the attach button, paste into the input and drag-and-drop onto the chat
+     * @param {Element} messageInput - The message textarea
+     */
+    function setupAttachmentHandlers(messageInput) {
+        const fileInput = document.getElementById('image-input');
+        document.getElementById('attach-button').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            addImageFiles(fileInput.files);
+            fileInput.value = '';
+        });
+
+        messageInput.addEventListener('paste', function(event) {
+            const files = Array.from(event.clipboardData ? event.clipboardData.files : []);
+            if (files.some(file => file.type.startsWith('image/'))) {
+                event.preventDefault();
+                addImageFiles(files);
+            }
+        });
+
+        const container = document.getElementById('chat-container');
+        container.addEventListener('dragover', function(event) {
+            if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+            event.preventDefault();
+            container.classList.add('chat-app--drag-over');
+        });
+        container.addEventListener('dragleave', function(event) {
+            if (!container.contains(event.relatedTarget)) {
+                container.classList.remove('chat-app--drag-over');
+            }
+        });
+        container.addEventListener('drop', function(event) {
+            container.classList.remove('chat-app--drag-over');
+            if (!event.dataTransfer || !event.dataTransfer.files.length) return;
+            event.preventDefault();
+            addImageFiles(event.dataTransfer.files);
+        });
+    }
+
+    /**
+     * Reads image files into pending attachments
+     * @param {FileList|Array<File>} files
+     */
+    async function addImageFiles(files) {
+        for (const file of Array.from(files)) {
+            if (!file.type.startsWith('image/')) {
+                showError(`${file.name} is not an image.`);
+                continue;
+            }
+            if (file.size > MAX_IMAGE_BYTES) {
+                showError(`${file.name} is larger than 20 MB.`);
+                continue;
+            }
+            try {
+                pendingImages.push(await readImageFile(file));
+            } catch (err) {
+                console.error('Failed to read image:', err);
+                showError(`Could not read ${file.name}.`);
+            }
+        }
+        renderPendingImages();
+    }
+
+    /**
+     * Loads an image file, scaling it down if either side exceeds MAX_IMAGE_SIDE
+     * @param {File} file
+     * @returns {Promise<{name:string, mimeType:string, data:string, dataUrl:string}>}
+     */
+    async function readImageFile(file) {
+        let dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Unsupported image'));
+            img.src = dataUrl;
+        });
+        const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(image.width, image.height));
+        // GIFs are sent as-is so animations are not flattened by the canvas
+        if (scale < 1 && file.type !== 'image/gif') {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            dataUrl = canvas.toDataURL(file.type === 'image/png' ? 'image/png' : 'image/jpeg', 0.9);
+        }
+        const [header, data] = dataUrl.split(',');
+        return { name: file.name, mimeType: header.slice(5, header.indexOf(';')), data, dataUrl };
+    }
+
+    /**
+     * Creates thumbnails for images, optionally with remove buttons
+     * @param {Element} container - Element to fill
+     * @param {Array} images - Images ({name, mimeType, data, dataUrl?})
+     * @param {Function} [onRemove] - Called with the index of a removed image
+     */
+    function renderThumbnails(container, images, onRemove) {
+        container.innerHTML = '';
+        images.forEach((image, index) => {
+            const item = document.createElement('div');
+            item.className = 'chat-app__attachment';
+            const img = document.createElement('img');
+            img.src = image.dataUrl || `data:${image.mimeType};base64,${image.data}`;
+            img.alt = image.name || 'Attached image';
+            img.title = image.name || '';
+            item.appendChild(img);
+            if (onRemove) {
+                const remove = document.createElement('button');
+                remove.className = 'chat-app__attachment-remove';
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', `Remove ${image.name || 'image'}`);
+                remove.addEventListener('click', () => onRemove(index));
+                item.appendChild(remove);
+            }
+            container.appendChild(item);
+        });
+    }
+
+    // Helper: Redraw the pending attachment strip above the input
+    function renderPendingImages() {
+        const preview = document.getElementById('attachment-preview');
+        renderThumbnails(preview, pendingImages, index => {
+            pendingImages.splice(index, 1);
+            renderPendingImages();
+        });
+        preview.hidden = pendingImages.length === 0;
+    }
+
+    /**
+     * Gets the images attached to the next message
+     * @returns {Array<{name:string, mimeType:string, data:string}>}
+     */
+    function getAttachments() {
+        return pendingImages.map(({ name, mimeType, data }) => ({ name, mimeType, data }));
+    }
+
+    /**
+     * Removes all pending attachments
+     */
+    function clearAttachments() {
+        pendingImages = [];
+        renderPendingImages();
+    }
+
+    /**
+     * Gets the JSON Schema for the next reply, if the schema panel is open and filled in
+     * @returns {{schema:Object}|{error:string}|null}
+     */
+    function getResponseSchema() {
+        const panel = document.getElementById('schema-panel');
+        const text = document.getElementById('schema-input').value.trim();
+        if (panel.hidden || !text) return null;
+        let schema;
+        try {
+            schema = JSON.parse(text);
+        } catch (err) {
+            return { error: `not valid JSON (${err.message})` };
+        }
+        const problem = SchemaValidator.checkSchema(schema);
+        return problem ? { error: problem } : { schema };
+    }
+
+    /**
+     * Builds a collapsible tree for a JSON value
+     * @param {*} value - The value
+     * @param {string|number} [key] - Its property name or index
+     * @returns {Element}
+     */
+    function buildJsonTree(value, key) {
+        const label = key !== undefined ? `<span class="json-tree__key">${escapeHtml(String(key))}</span>: ` : '';
+        if (value && typeof value === 'object') {
+            const isArray = Array.isArray(value);
+            const entries = isArray ? value.map((item, i) => [i, item]) : Object.entries(value);
+            const details = document.createElement('details');
+            details.className = 'json-tree__node';
+            details.open = true;
+            const summary = document.createElement('summary');
+            summary.innerHTML = `${label}<span class="json-tree__type">${isArray ? `[${entries.length}]` : `{${entries.length}}`}</span>`;
+            details.appendChild(summary);
+            entries.forEach(([childKey, child]) => details.appendChild(buildJsonTree(child, childKey)));
+            return details;
+        }
+        const leaf = document.createElement('div');
+        leaf.className = 'json-tree__leaf';
+        const kind = value === null ? 'null' : typeof value;
+        leaf.innerHTML = `${label}<span class="json-tree__value json-tree__value--${kind}">${escapeHtml(JSON.stringify(value))}</span>`;
+        return leaf;
+    }
+
+    /**
+     * Shows a structured reply in a message as a JSON tree with copy and download buttons
+     * @param {Element} messageElement - The message element
+     * @param {*} value - The parsed JSON
+     * @param {string} [name] - Base name for the downloaded file
+     */
+    function addJsonResult(messageElement, value, name = 'response') {
+        if (!messageElement) return;
+        const json = JSON.stringify(value, null, 2);
+        const block = document.createElement('div');
+        block.className = 'json-result';
+
+        const actions = document.createElement('div');
+        actions.className = 'json-result__actions';
+        const copyButton = document.createElement('button');
+        copyButton.className = 'json-result__button';
+        copyButton.textContent = 'Copy';
+        copyButton.addEventListener('click', () => {
+            navigator.clipboard.writeText(json)
+                .then(() => { copyButton.textContent = 'Copied'; })
+                .catch(() => showError('Could not copy to the clipboard.'));
+        });
+        const downloadButton = document.createElement('button');
+        downloadButton.className = 'json-result__button';
+        downloadButton.textContent = 'Download';
+        downloadButton.addEventListener('click', () => {
+            const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${name}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        });
+        actions.append(copyButton, downloadButton);
+
+        const tree = document.createElement('div');
+        tree.className = 'json-tree';
+        tree.appendChild(buildJsonTree(value));
+        block.append(actions, tree);
+        messageElement.querySelector('.chat-app__message-content').appendChild(block);
+    }
+
     /**
      * Sets up event handlers for UI elements
      * @param {Function} onSendMessage - Callback for send button
      * @param {Function} onClearChat - Callback for clear chat button
+     * @param {Function} [onStop] - Callback for the button while it shows Stop
      */
-    function setupEventHandlers(onSendMessage, onClearChat) {
+    function setupEventHandlers(onSendMessage, onClearChat, onStop) {
         sendMessageCallback = onSendMessage;
         clearChatCallback = onClearChat;
+        stopCallback = onStop;
         
-        // Send button click handler
-        document.getElementById('send-button').addEventListener('click', onSendMessage);
+        // Send button click handler (acts as Stop while a turn is running)
+        document.getElementById('send-button').addEventListener('click', function() {
+            if (isBusy) {
+                if (stopCallback) stopCallback();
+            } else {
+                onSendMessage();
+            }
+        });
         
         // Clear chat button click handler
         const clearChatButton = document.getElementById('clear-chat-button');
@@ -86,13 +347,54 @@ const UIController = (function() {
         }
     }
 
+    /**
+     * Switches the send button between Send and Stop
+     * @param {boolean} busy - Whether a turn is running
+     */
+    function setBusy(busy) {
+        isBusy = busy;
+        const button = document.getElementById('send-button');
+        button.disabled = false;
+        button.textContent = busy ? 'Stop' : 'Send';
+        button.setAttribute('aria-label', busy ? 'Stop generating' : 'Send message');
+        button.classList.toggle('chat-app__send-button--stop', busy);
+    }
+
+    /**
+     * Marks a message as interrupted, keeping its partial content
+     * @param {Element} messageElement - The message element
+     */
+    function markInterrupted(messageElement) {
+        if (!messageElement) return;
+        messageElement.classList.add('interrupted-message');
+        const note = document.createElement('div');
+        note.className = 'interrupted-note';
+        note.textContent = 'Interrupted';
+        messageElement.querySelector('.chat-app__message-content').appendChild(note);
+    }
+
+    /**
+     * Notes on a message which model produced it (e.g. after a fallback)
+     * @param {Element} messageElement - The message element
+     * @param {string} text - The label, e.g. "Answered by gpt-4.1-mini"
+     */
+    function addModelTag(messageElement, text) {
+        if (!messageElement) return;
+        const tag = document.createElement('span');
+        tag.className = 'chat-app__model-tag';
+        tag.textContent = text;
+        const timestamp = messageElement.querySelector('.chat-app__timestamp');
+        messageElement.insertBefore(tag, timestamp);
+    }
+
     /**
      * Adds a message to the chat window
      * @param {string} sender - The sender ('user' or 'ai')
      * @param {string} text - The message text
+     * @param {Array} [images] - Attached images to show as thumbnails
      * @returns {Element} - The created message element
      */
-    function addMessage(sender, text) {
+    function addMessage(sender, text, images) {
         hideEmptyState();
         const chatWindow = document.getElementById('chat-window');
         const messageElement = Utils.createFromTemplate('message-template');
@@ -112,6 +414,13 @@ const UIController = (function() {
         
         // Format the message text
         updateMessageContent(messageElement, text);
+
+        if (images && images.length) {
+            const thumbnails = document.createElement('div');
+            thumbnails.className = 'chat-app__attachments';
+            renderThumbnails(thumbnails, images);
+            messageElement.insertBefore(thumbnails, messageElement.querySelector('.chat-app__timestamp'));
+        }
         
         // Add to chat window and scroll into view
         chatWindow.appendChild(messageElement);
@@ -305,6 +614,11 @@ const UIController = (function() {
 
     // Add status bar control methods
     function showStatus(message) {
+        stopCountdown();
+        setStatusText(message);
+    }
+
+    function setStatusText(message) {
         const bar = document.getElementById('status-bar');
         if (bar) {
             bar.textContent = message;
@@ -312,7 +626,32 @@ const UIController = (function() {
         }
     }
 
+    /**
+     * Shows a status message that counts down once per second (e.g. until a retry)
+     * @param {Function} formatMessage - Builds the message from the seconds left
+     * @param {number} ms - Length of the countdown
+     */
+    function showCountdown(formatMessage, ms) {
+        stopCountdown();
+        const end = Date.now() + ms;
+        const tick = () => {
+            const secondsLeft = Math.max(0, Math.ceil((end - Date.now()) / 1000));
+            setStatusText(formatMessage(secondsLeft));
+            if (secondsLeft === 0) stopCountdown();
+        };
+        tick();
+        countdownTimer = setInterval(tick, 1000);
+    }
+
+    function stopCountdown() {
+        if (countdownTimer) {
+            clearInterval(countdownTimer);
+            countdownTimer = null;
+        }
+    }
+
     function clearStatus() {
+        stopCountdown();
         const bar = document.getElementById('status-bar');
         if (bar) {
             bar.textContent = '';
@@ -322,6 +661,7 @@ const UIController = (function() {
 
     // Spinner for progress feedback
     function showSpinner(message) {
+        stopCountdown();
         const bar = document.getElementById('status-bar');
         if (bar) {
             bar.innerHTML = `<span class="spinner" aria-live="polite" aria-busy="true"></span> ${message}`;
@@ -338,7 +678,7 @@ const UIController = (function() {
 
     /**
      * Adds a search result to the chat window with a 'Read More' button
-     * @param {Object} result - {title, url, snippet}
+     * @param {Object} result - {title, url, snippet, engines} (engines only from meta search)
      * @param {Function} onReadMore - Callback when 'Read More' is clicked
      */
     function addSearchResult(result, onReadMore) {
@@ -349,8 +689,8 @@ const UIController = (function() {
         article.className = 'chat-app__message ai-message search-result';
         article.innerHTML = `
             <div class="chat-app__message-content" aria-label="Search result">
-                <strong><a href="${result.url}" target="_blank" rel="noopener noreferrer" tabindex="0">${Utils.escapeHtml(result.title)}</a></strong><br>
-                <small>${Utils.escapeHtml(result.url)}</small>
+                <strong><a href="${Utils.escapeHtml(result.url)}" target="_blank" rel="noopener noreferrer" tabindex="0">${Utils.escapeHtml(result.title)}</a></strong><br>
+                <small>${Utils.escapeHtml(result.url)}${result.engines ? ` · ${Utils.escapeHtml(result.engines.join(', '))}` : ''}</small>
                 <p>${Utils.escapeHtml(result.snippet)}</p>
                 <button class="read-more-btn" aria-label="Read more from ${Utils.escapeHtml(result.title)}">Read More</button>
             </div>
@@ -362,20 +702,32 @@ const UIController = (function() {
         article.scrollIntoView({ behavior: 'smooth', block: 'end' });
     }
 
+    // Helper: Title and byline/date/length line for a read result
+    function renderPageMeta(page) {
+        const facts = [page.byline, page.publishedAt, page.pageCount && `${page.pageCount} pages`, `${page.wordCount} words`, page.cachedAt && 'from cache'].filter(Boolean).map(Utils.escapeHtml);
+        return `${page.title ? `<div class="read-result__title">${Utils.escapeHtml(page.title)}</div>` : ''}
+                <div class="read-result__meta">${facts.join(' · ')}</div>`;
+    }
+
     /**
      * Adds a read_url result to the chat window, with optional 'Read More' if more content is available
      * @param {string} url
      * @param {string} snippet
-     * @param {boolean} hasMore
+     * @param {number|null} next - Offset the next read starts from, or null at the end of the page
+     * @param {Object} [page] - Page metadata (title, byline, publishedAt, wordCount) to show above the text
+     * @param {{from:number, to:number}} [pageRange] - The PDF pages the snippet covers
      */
-    function addReadResult(url, snippet, hasMore) {
-        urlOffsets.set(url, (urlOffsets.get(url) || 0) + snippet.length);
+    function addReadResult(url, snippet, next, page = null, pageRange = null) {
+        const hasMore = next !== null;
+        if (hasMore) urlOffsets.set(url, next);
         const chatWindow = document.getElementById('chat-window');
         const article = document.createElement('article');
         article.className = 'chat-app__message ai-message read-result';
         article.innerHTML = `
             <div class="chat-app__message-content" aria-label="Read result">
                 <strong>Read from: <a href="${url}" target="_blank" rel="noopener noreferrer" tabindex="0">${url}</a></strong>
+                ${page ? renderPageMeta(page) : ''}
+                ${pageRange ? `<div class="read-result__meta">${pageRange.from === pageRange.to ? `Page ${pageRange.from}` : `Pages ${pageRange.from}–${pageRange.to}`}</div>` : ''}
                 <p>${Utils.escapeHtml(snippet)}${hasMore ? '...' : ''}</p>
                 ${hasMore ? '<button class="read-more-btn" aria-label="Read more from this page">Read More</button>' : ''}
             </div>
@@ -383,7 +735,7 @@ const UIController = (function() {
         if (hasMore) {
             const btn = article.querySelector('.read-more-btn');
             btn.addEventListener('click', () => {
-                const offset = urlOffsets.get(url) || snippet.length;
+                const offset = urlOffsets.get(url) ?? next;
                 ChatController.processToolCall({ tool: 'read_url', arguments: { url, start: offset, length: 2000 } });
             });
             btn.tabIndex = 0;
@@ -392,6 +744,37 @@ const UIController = (function() {
         article.scrollIntoView({ behavior: 'smooth', block: 'end' });
     }
 
+    /**
+     * Shows a sandboxed code run as a collapsible block: code, output, result and error
+     * @param {string} code - The code that ran
+     * @param {Object} outcome - From SandboxService.run
+     */
+    function addCodeResult(code, outcome) {
+        const chatWindow = document.getElementById('chat-window');
+        const article = document.createElement('article');
+        const failed = !!outcome.error;
+        article.className = `chat-app__message ai-message code-result${failed ? ' code-result--error' : ''}`;
+        const sections = [
+            ['Code', code],
+            ['Output', outcome.stdout],
+            ['Result', outcome.result],
+            ['Error', outcome.error]
+        ].filter(([, text]) => text !== undefined && text !== '');
+        const status = outcome.timedOut ? 'timed out' : failed ? 'error' : 'ok';
+        article.innerHTML = `
+            <div class="chat-app__message-content" aria-label="Code result">
+                <details class="code-result__details"${failed ? ' open' : ''}>
+                    <summary class="code-result__summary">JavaScript · ${status} · ${outcome.durationMs} ms${outcome.truncated ? ' · output truncated' : ''}</summary>
+                    ${sections.map(([label, text]) => `
+                        <div class="code-result__label">${label}</div>
+                        <pre class="code-result__pre">${Utils.escapeHtml(text)}</pre>`).join('')}
+                </details>
+            </div>
+        `;
+        chatWindow.appendChild(article);
+        article.scrollIntoView({ behavior: 'smooth', block: 'end' });
+    }
+
     function addSummarizeButton(onClick) {
         if (summarizeBtn) return; // Only one at a time
         const chatWindow = document.getElementById('chat-window');
@@ -453,16 +836,25 @@ const UIController = (function() {
     return {
         init,
         setupEventHandlers,
+        setBusy,
+        markInterrupted,
+        addModelTag,
         addMessage,
         clearChatWindow,
         updateMessageContent,
         getUserInput,
         clearUserInput,
+        getAttachments,
+        clearAttachments,
+        getResponseSchema,
+        addJsonResult,
         createEmptyAIMessage,
         showStatus,
+        showCountdown,
         clearStatus,
         addSearchResult,
         addReadResult,
+        addCodeResult,
         showSpinner,
         hideSpinner,
         addSummarizeButton,
@@ -1,52 +1,10 @@
 /**
  * ./js/utils.js
- * Utilities Module - Contains encryption/decryption and helper functions
+ * Utilities Module - Contains storage, DOM and fetch helper functions
  */
 const Utils = (function() {
     'use strict';
 
-    const encoder = new TextEncoder();
-    const decoder = new TextDecoder();
-
-    /**
-     * Decrypts text using XOR cipher
-     * @param {string} ciphertext - The encrypted text
-     * @param {string} key - The decryption key
-     * @returns {string} - Decrypted text
-     */
-    function decrypt(ciphertext, key) {
-        let decoded = "";
-        for (let i = 0; i < ciphertext.length; i += 3) {
-            let numStr = ciphertext.slice(i, i + 3);
-            let encryptedChar = parseInt(numStr);
-            let keyChar = key.charCodeAt((i / 3) % key.length);
-            let decryptedChar = encryptedChar ^ keyChar;
-            decoded += String.fromCharCode(decryptedChar);
-        }
-        return decoder.decode(new Uint8Array(encoder.encode(decoded)));
-    }
-
-    /**
-     * Encrypts text using XOR cipher (for cookie storage)
-     * @param {string} text - The text to encrypt
-     * @param {string} key - The encryption key
-     * @returns {string} - Encrypted text
-     */
-    function encrypt(text, key) {
-        let encoded = "";
-        const textBytes = encoder.encode(text);
-        
-        for (let i = 0; i < textBytes.length; i++) {
-            const charCode = textBytes[i];
-            const keyChar = key.charCodeAt(i % key.length);
-            const encryptedChar = charCode ^ keyChar;
-            // Pad to ensure 3 digits for each character
-            encoded += encryptedChar.toString().padStart(3, '0');
-        }
-        
-        return encoded;
-    }
-
     /**
      * Handles Server-Sent Events (SSE) parsing from stream responses
      * @param {string} line - The SSE line to parse
@@ -83,12 +41,28 @@ const Utils = (function() {
     /**
      * Updates the token usage display
      * @param {number} totalTokens - The total tokens used
+     * @param {Object} [breakdown] - {turn, session} usage ({promptTokens, completionTokens, estimated})
+     *   and optional cost in USD ({turn, conversation, day, unpriced})
      */
-    function updateTokenDisplay(totalTokens) {
+    function updateTokenDisplay(totalTokens, breakdown) {
         const tokenDisplay = document.getElementById('token-usage');
-        if (tokenDisplay) {
+        if (!tokenDisplay) return;
+        if (!breakdown) {
             tokenDisplay.textContent = `Total tokens used: ${totalTokens}`;
+            return;
         }
+        // Counts prefixed with ~ include local estimates
+        const format = usage => `${usage.estimated ? '~' : ''}${usage.promptTokens} prompt / ${usage.completionTokens} completion`;
+        let text = `Turn: ${format(breakdown.turn)} · Session: ${format(breakdown.session)} · Total tokens used: ${totalTokens}`;
+        let title = 'Counts marked ~ include local estimates where the provider reported no usage';
+        if (breakdown.cost) {
+            const money = value => `$${value.toFixed(4)}`;
+            const { turn, conversation, day, unpriced } = breakdown.cost;
+            text += ` · Cost: ${money(turn)} turn / ${money(conversation)} chat / ${money(day)} today${unpriced ? '*' : ''}`;
+            if (unpriced) title += '. * Some models have no price set in Settings and are not counted';
+        }
+        tokenDisplay.textContent = text;
+        tokenDisplay.title = title;
     }
 
     /**
@@ -135,43 +109,6 @@ const Utils = (function() {
         document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; SameSite=Strict`;
     }
 
-    /**
-     * Saves the password to a cookie (securely)
-     * @param {string} password - The password to save
-     */
-    function savePasswordToCookie(password) {
-        // Create a simple encryption for the password
-        // Using a fixed salt + current domain as encryption key
-        const encryptionKey = 'AI-Chat-App-' + window.location.hostname;
-        const encryptedPassword = encrypt(password, encryptionKey);
-        setCookie('chat_pwd', encryptedPassword);
-    }
-
-    /**
-     * Gets the saved password from cookie
-     * @returns {string|null} - The decrypted password or null if not found
-     */
-    function getPasswordFromCookie() {
-        const encryptedPassword = getCookie('chat_pwd');
-        if (!encryptedPassword) return null;
-        
-        try {
-            const encryptionKey = 'AI-Chat-App-' + window.location.hostname;
-            return decrypt(encryptedPassword, encryptionKey);
-        } catch (err) {
-            console.error('Error decrypting password from cookie:', err);
-            deleteCookie('chat_pwd');
-            return null;
-        }
-    }
-
-    /**
-     * Clears the saved password from cookie
-     */
-    function clearSavedPassword() {
-        deleteCookie('chat_pwd');
-    }
-
     /**
      * Saves settings to a cookie
      * @param {Object} settings - The settings object to save
@@ -197,6 +134,68 @@ const Utils = (function() {
         }
     }
 
+    /**
+     * Saves a JSON value to localStorage (for data too large for a cookie)
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     */
+    function saveToStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            console.error(`Error saving ${key} to storage:`, err);
+        }
+    }
+
+    /**
+     * Gets a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} - The parsed value or null if not found
+     */
+    function getFromStorage(key) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : null;
+        } catch (err) {
+            console.error(`Error reading ${key} from storage:`, err);
+            return null;
+        }
+    }
+
+    /**
+     * Opens an IndexedDB database, creating or upgrading it as needed
+     * @param {string} name - Database name
+     * @param {number} version - Schema version
+     * @param {Function} upgrade - Called with (db, oldVersion) to create object stores
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase(name, version, upgrade) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = event => upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs a single request against an IndexedDB object store
+     * @param {IDBDatabase} db - The open database
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Called with the store, returns an IDBRequest
+     * @returns {Promise<*>} - The request result
+     */
+    function idbRequest(db, storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
     /**
      * Safely escapes HTML special characters in a string
      * @param {string} str - The string to escape
@@ -207,105 +206,216 @@ const Utils = (function() {
         return String(str).replace(/[&<>"']/g, s => map[s]);
     }
 
-    // Add fetch helpers for timeout and retry
-    async function fetchWithTimeout(resource, options = {}, timeout = 10000) {
+    /**
+     * Checks whether an error comes from an aborted request (e.g. the Stop button)
+     * @param {*} err - The caught error
+     * @returns {boolean}
+     */
+    function isAbortError(err) {
+        return !!err && err.name === 'AbortError';
+    }
+
+    /**
+     * Throws an AbortError if the signal has been aborted
+     * @param {AbortSignal} [signal]
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+    }
+
+    /**
+     * Waits for a delay, ending early with an AbortError if the signal aborts
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>}
+     */
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            throwIfAborted(signal);
+            const onAbort = () => {
+                clearTimeout(id);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            const id = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Creates a signal that aborts when the caller's signal aborts or, until
+     * cleared, when the timeout passes (timeouts reject with a TimeoutError)
+     * @param {AbortSignal} [signal] - The caller's signal
+     * @param {number} timeout - Timeout in ms
+     * @returns {{signal: AbortSignal, clearTimeout: Function}}
+     */
+    function linkSignal(signal, timeout) {
         const controller = new AbortController();
-        const id = setTimeout(() => controller.abort(), timeout);
-        options.signal = controller.signal;
+        const id = setTimeout(() => controller.abort(new DOMException('Request timed out', 'TimeoutError')), timeout);
+        if (signal) {
+            // Stays linked after the timeout is cleared so streamed bodies can still be cancelled
+            if (signal.aborted) controller.abort(signal.reason);
+            else signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+        }
+        return { signal: controller.signal, clearTimeout: () => clearTimeout(id) };
+    }
+
+    // Add fetch helpers for timeout and retry; options.signal cancels them.
+    // fetchImpl stands in for fetch (the mock provider serves requests locally)
+    async function fetchWithTimeout(resource, options = {}, timeout = 10000, fetchImpl = fetch) {
+        const linked = linkSignal(options.signal, timeout);
         try {
-            return await fetch(resource, options);
+            return await fetchImpl(resource, { ...options, signal: linked.signal });
         } finally {
-            clearTimeout(id);
+            linked.clearTimeout();
         }
     }
 
-    async function fetchWithRetry(url, options = {}, maxAttempts = 3, delay = 1000, timeout = 10000) {
-        let attempt = 0;
-        while (attempt < maxAttempts) {
-            try {
-                const controller = new AbortController();
-                const id = setTimeout(() => controller.abort('timeout'), timeout);
-                const response = await fetch(url, { ...options, signal: controller.signal });
-                clearTimeout(id);
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                return response;
-            } catch (err) {
-                if (err.name === 'AbortError') {
-                    console.error(`Fetch attempt ${attempt + 1} aborted:`, err.message || err);
-                    throw err; // Do not retry on AbortError
-                }
-                attempt++;
-                if (attempt >= maxAttempts) throw err;
-                await new Promise(res => setTimeout(res, delay));
-            }
+    // Retry policy for API requests. connectTimeout limits the wait for response
+    // headers; streamed bodies are guarded separately by readWithIdleTimeout
+    const DEFAULT_RETRY_POLICY = {
+        maxAttempts: 4,
+        baseDelayMs: 1000,
+        maxDelayMs: 60000,
+        connectTimeout: 30000
+    };
+    // 529 is Anthropic's "overloaded"
+    const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+    /**
+     * Reads how long the server asked us to wait, from Retry-After / retry-after-ms
+     * headers or a Google RetryInfo retryDelay in the error body
+     * @param {Headers} headers - Response headers
+     * @param {string} body - Response body text
+     * @returns {number|null} - Delay in ms, or null if the server gave none
+     */
+    function getRetryAfterMs(headers, body) {
+        const ms = parseFloat(headers.get('retry-after-ms'));
+        if (ms >= 0) return ms;
+        const retryAfter = headers.get('retry-after');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            if (!Number.isNaN(seconds)) return seconds * 1000;
+            const date = Date.parse(retryAfter);
+            if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
         }
+        const match = /"retryDelay"\s*:\s*"([\d.]+)s"/.exec(body || '');
+        return match ? parseFloat(match[1]) * 1000 : null;
     }
 
-    // Add CORS proxy list and proxy-based retry helper
-    const corsProxies = [
-        // Direct fetch first
-        '',
-        // Widely used public CORS proxies
-        'https://cors-anywhere.herokuapp.com/',
-        'https://jsonp.afeld.me/?url=',
-        'https://api.allorigins.win/raw?url=',
-        'https://api.allorigins.xyz/raw?url=',
-        'https://corsproxy.io/?',
-        'https://thingproxy.freeboard.io/fetch/?url=',
-        'https://cors.eu.org/',
-        'https://api.codetabs.com/v1/proxy?quest=',
-        'https://yacdn.org/proxy/',
-        'https://cors.bridged.cc/',
-        'https://cors.sho.sh/',
-        'https://cors.ironproxy.xyz/',
-        'https://norobe-cors-anywhere.herokuapp.com/',
-        'https://corsproxy.github.io/?url=',
-        'https://cors-proxy.elfsight.com/'
-    ];
+    /**
+     * Builds an error for a non-ok response, carrying status and retryAfterMs
+     * @param {Response} response
+     * @returns {Promise<Error>}
+     */
+    async function createHttpError(response) {
+        const body = await response.text().catch(() => '');
+        const err = new Error(`HTTP ${response.status}: ${body.slice(0, 1000)}`);
+        err.status = response.status;
+        err.retryAfterMs = getRetryAfterMs(response.headers, body);
+        return err;
+    }
+
+    /**
+     * Sorts an error into retryable (network failures, connect timeouts,
+     * 408/425/429/5xx) or fatal (aborts, other 4xx, anything marked retryable: false)
+     * @param {*} err
+     * @returns {boolean}
+     */
+    function isRetryableError(err) {
+        if (!err || isAbortError(err)) return false;
+        if (typeof err.retryable === 'boolean') return err.retryable;
+        if (err.status) return RETRYABLE_STATUSES.has(err.status);
+        // fetch rejects with a TypeError when the network or CORS fails
+        return err.name === 'TypeError' || err.name === 'TimeoutError';
+    }
 
-    async function fetchWithProxyRetry(resource, options = {}, proxies = corsProxies, retries = proxies.length, retryDelay = 1000, timeout = 10000) {
-        let lastError;
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            const prefix = proxies[(attempt - 1) % proxies.length];
-            const url = prefix
-                ? (prefix.endsWith('?') || prefix.includes('?url=')
-                    ? prefix + encodeURIComponent(resource)
-                    : prefix + resource)
-                : resource;
+    /**
+     * Exponential backoff with jitter: a random delay between half and all of base * 2^(attempt-1)
+     * @param {number} attempt - The attempt that just failed (1-based)
+     * @param {number} baseDelayMs
+     * @param {number} maxDelayMs
+     * @returns {number} - Delay in ms
+     */
+    function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+        const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Fetches with the retry policy: retryable failures are retried with backoff,
+     * waiting at least as long as the server asks; fatal ones throw at once
+     * @param {string} url
+     * @param {Object} [options] - fetch options; options.signal also cancels the waits
+     * @param {Object} [policy] - Overrides for DEFAULT_RETRY_POLICY, plus
+     *   onRetry({attempt, maxAttempts, delayMs, error}) called before each wait
+     *   and fetchImpl to use instead of fetch
+     * @returns {Promise<Response>} - An ok response
+     */
+    async function fetchWithRetry(url, options = {}, policy = {}) {
+        const { maxAttempts, baseDelayMs, maxDelayMs, connectTimeout, onRetry, fetchImpl } = { ...DEFAULT_RETRY_POLICY, ...policy };
+        for (let attempt = 1; ; attempt++) {
             try {
-                const response = await fetchWithTimeout(url, options, timeout);
-                if (!response.ok) {
-                    const text = await response.text();
-                    throw new Error(`HTTP ${response.status}: ${text}`);
-                }
+                const response = await fetchWithTimeout(url, options, connectTimeout, fetchImpl);
+                if (!response.ok) throw await createHttpError(response);
                 return response;
             } catch (err) {
-                lastError = err;
-                console.warn(`Proxy fetch attempt ${attempt} via ${prefix || 'direct'} failed:`, err);
-                if (attempt < retries) await new Promise(r => setTimeout(r, retryDelay));
+                if (!isRetryableError(err) || attempt >= maxAttempts) throw err;
+                if (err.retryAfterMs > maxDelayMs) {
+                    err.message += ` (server asked to retry after ${Math.ceil(err.retryAfterMs / 1000)}s)`;
+                    throw err;
+                }
+                const delayMs = Math.max(backoffDelay(attempt, baseDelayMs, maxDelayMs), err.retryAfterMs || 0);
+                console.warn(`Fetch attempt ${attempt} failed, retrying in ${delayMs}ms:`, err.message || err);
+                if (onRetry) onRetry({ attempt, maxAttempts, delayMs, error: err });
+                await delay(delayMs, options.signal);
             }
         }
-        throw lastError;
+    }
+
+    /**
+     * Reads the next chunk of a stream, failing with a TimeoutError (and
+     * cancelling the stream) if no data arrives within idleTimeout
+     * @param {ReadableStreamDefaultReader} reader
+     * @param {number} idleTimeout - Max gap between chunks in ms
+     * @returns {Promise<{value, done}>}
+     */
+    function readWithIdleTimeout(reader, idleTimeout) {
+        let id;
+        const stalled = new Promise((resolve, reject) => {
+            id = setTimeout(() => {
+                reader.cancel().catch(() => {});
+                reject(new DOMException(`Stream stalled: no data for ${Math.round(idleTimeout / 1000)}s`, 'TimeoutError'));
+            }, idleTimeout);
+        });
+        return Promise.race([reader.read(), stalled]).finally(() => clearTimeout(id));
     }
 
     // Public API
     return {
-        decrypt,
-        encrypt,
         parseSSELine,
         createFromTemplate,
         updateTokenDisplay,
         setCookie,
         getCookie,
         deleteCookie,
-        savePasswordToCookie,
-        getPasswordFromCookie,
-        clearSavedPassword,
         saveSettingsToCookie,
         getSettingsFromCookie,
+        saveToStorage,
+        getFromStorage,
+        openDatabase,
+        idbRequest,
         escapeHtml,
+        isAbortError,
+        throwIfAborted,
+        delay,
         fetchWithTimeout,
+        isRetryableError,
         fetchWithRetry,
-        fetchWithProxyRetry
+        readWithIdleTimeout
     };
 })(); 
\ No newline at end of file